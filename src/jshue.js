@@ -8,138 +8,3726 @@
  * @copyright Copyright 2013 - 2017, John Peloquin and the jsHue contributors.
  */
 
+/* ================================================== */
+/* Errors                                             */
+/* ================================================== */
+
 /**
- * jsHue API class.
+ * Base class of errors raised by jsHue.
  *
- * @class jsHueAPI
+ * @class HueError
+ * @extends Error
  * @constructor
- * @param {Function} fetch fetch dependency
- * @param {Function} Response response dependency
- * @param {Object} JSON JSON dependency
- * @param {Function} Promise promise dependency
- * @return {Object} instance
+ * @param {String} message error message
+ */
+class HueError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HueError';
+    }
+}
+
+/**
+ * Error reported by the bridge in an API response.
+ *
+ * The bridge reports errors as entries of the form {error: {type, address,
+ * description}} in the response array, possibly mixed with success entries for
+ * the parts of the request which did succeed. The first error is exposed
+ * directly on the instance; all errors and the partial successes are kept.
+ *
+ * @class HueApiError
+ * @extends HueError
+ * @constructor
+ * @param {Object} error error object (type, address, description)
+ * @param {Array} successes success values from the same response
+ * @param {Array} errors all error objects from the same response
+ */
+class HueApiError extends HueError {
+    constructor(error, successes = [], errors = [error]) {
+        super(error.description);
+        this.name = 'HueApiError';
+        this.type = error.type;
+        this.address = error.address;
+        this.description = error.description;
+        this.successes = successes;
+        this.errors = errors;
+    }
+
+    /**
+     * Creates an error of the subclass matching the bridge error type.
+     *
+     * @method create
+     * @static
+     * @param {Object} error error object (type, address, description)
+     * @param {Array} successes success values from the same response
+     * @param {Array} errors all error objects from the same response
+     * @return {HueApiError} error
+     */
+    static create(error, successes, errors) {
+        var ErrorClass = HueApiError.types[error.type] || HueApiError;
+        return new ErrorClass(error, successes, errors);
+    }
+}
+
+/**
+ * Creates a subclass of HueApiError for a bridge error type.
+ *
+ * @method _apiErrorClass
+ * @private
+ * @param {String} name class name
+ * @return {Function} error class
+ */
+var _apiErrorClass = name => class extends HueApiError {
+    constructor(...args) {
+        super(...args);
+        this.name = name;
+    }
+};
+
+/**
+ * Bridge error 1: unauthorized user.
+ *
+ * @class HueUnauthorizedUserError
+ * @extends HueApiError
+ */
+var HueUnauthorizedUserError = _apiErrorClass('HueUnauthorizedUserError');
+
+/**
+ * Bridge error 2: body contains invalid JSON.
+ *
+ * @class HueInvalidJsonError
+ * @extends HueApiError
+ */
+var HueInvalidJsonError = _apiErrorClass('HueInvalidJsonError');
+
+/**
+ * Bridge error 3: resource not available.
+ *
+ * @class HueResourceNotAvailableError
+ * @extends HueApiError
+ */
+var HueResourceNotAvailableError = _apiErrorClass('HueResourceNotAvailableError');
+
+/**
+ * Bridge error 4: method not available for resource.
+ *
+ * @class HueMethodNotAvailableError
+ * @extends HueApiError
+ */
+var HueMethodNotAvailableError = _apiErrorClass('HueMethodNotAvailableError');
+
+/**
+ * Bridge error 5: missing parameters in body.
+ *
+ * @class HueMissingParametersError
+ * @extends HueApiError
+ */
+var HueMissingParametersError = _apiErrorClass('HueMissingParametersError');
+
+/**
+ * Bridge error 6: parameter not available.
+ *
+ * @class HueParameterNotAvailableError
+ * @extends HueApiError
+ */
+var HueParameterNotAvailableError = _apiErrorClass('HueParameterNotAvailableError');
+
+/**
+ * Bridge error 7: invalid value for parameter.
+ *
+ * @class HueInvalidValueError
+ * @extends HueApiError
+ */
+var HueInvalidValueError = _apiErrorClass('HueInvalidValueError');
+
+/**
+ * Bridge error 8: parameter is not modifiable.
+ *
+ * @class HueParameterNotModifiableError
+ * @extends HueApiError
+ */
+var HueParameterNotModifiableError = _apiErrorClass('HueParameterNotModifiableError');
+
+/**
+ * Bridge error 101: link button not pressed.
+ *
+ * @class HueLinkButtonNotPressedError
+ * @extends HueApiError
+ */
+var HueLinkButtonNotPressedError = _apiErrorClass('HueLinkButtonNotPressedError');
+
+/**
+ * Bridge error 201: parameter not modifiable because device is off.
+ *
+ * @class HueDeviceOffError
+ * @extends HueApiError
+ */
+var HueDeviceOffError = _apiErrorClass('HueDeviceOffError');
+
+/**
+ * Bridge error 901: internal error.
+ *
+ * @class HueBridgeInternalError
+ * @extends HueApiError
+ */
+var HueBridgeInternalError = _apiErrorClass('HueBridgeInternalError');
+
+/**
+ * HueApiError subclasses by bridge error type.
+ *
+ * @property types
+ * @type Object
+ * @static
+ */
+HueApiError.types = {
+    1: HueUnauthorizedUserError,
+    2: HueInvalidJsonError,
+    3: HueResourceNotAvailableError,
+    4: HueMethodNotAvailableError,
+    5: HueMissingParametersError,
+    6: HueParameterNotAvailableError,
+    7: HueInvalidValueError,
+    8: HueParameterNotModifiableError,
+    101: HueLinkButtonNotPressedError,
+    201: HueDeviceOffError,
+    901: HueBridgeInternalError
+};
+
+/**
+ * Error raised for a non-2xx HTTP response.
+ *
+ * @class HueHttpError
+ * @extends HueError
+ * @constructor
+ * @param {String} url request URL
+ * @param {Object} response fetch response
+ */
+class HueHttpError extends HueError {
+    constructor(url, response) {
+        super(`HTTP status ${response.status} for ${url}`);
+        this.name = 'HueHttpError';
+        this.url = url;
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.response = response;
+    }
+}
+
+/**
+ * Error raised when a request times out.
+ *
+ * @class HueTimeoutError
+ * @extends HueError
+ * @constructor
+ * @param {Number} timeout timeout in milliseconds
+ */
+class HueTimeoutError extends HueError {
+    constructor(timeout) {
+        super(`Request timed out after ${timeout} ms`);
+        this.name = 'HueTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Error raised when a request is cancelled by its AbortSignal.
+ *
+ * @class HueAbortError
+ * @extends HueError
+ * @constructor
+ */
+class HueAbortError extends HueError {
+    constructor() {
+        super('Request aborted');
+        this.name = 'HueAbortError';
+    }
+}
+
+/**
+ * Error raised when a request is dropped because the request queue is full.
+ *
+ * @class HueQueueFullError
+ * @extends HueError
+ * @constructor
+ * @param {Number} depth queue depth
+ */
+class HueQueueFullError extends HueError {
+    constructor(depth) {
+        super(`Request dropped with ${depth} requests queued`);
+        this.name = 'HueQueueFullError';
+        this.depth = depth;
+    }
+}
+
+/* ================================================== */
+/* Credential stores                                  */
+/* ================================================== */
+
+/*
+ * Credential stores persist bridge credentials (username, and clientkey if
+ * any) keyed by bridge ID. A store has get, set, and delete methods returning
+ * promises, so that custom stores can be backed by any storage.
+ */
+
+/**
+ * Wraps a map of credentials by bridge ID in a credential store.
+ *
+ * @method _credentialStore
+ * @private
+ * @param {Function} load function returning a promise resolving to the map
+ * @param {Function} save function saving the map, returning a promise
+ * @return {Object} credential store
+ */
+var _credentialStore = (load, save) => {
+    var _pending = Promise.resolve();
+
+    // serialize updates so concurrent writes don't overwrite each other
+    var update = fn => {
+        var result = _pending.then(load).then(map => {
+            fn(map);
+            return save(map);
+        });
+
+        _pending = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        /**
+         * Gets the credentials of a bridge.
+         *
+         * @method get
+         * @param {String} bridgeId bridge ID
+         * @return {Promise} promise resolving to credentials (username, and clientkey if any), or null
+         */
+        get: bridgeId => _pending.then(load).then(map => map[String(bridgeId).toLowerCase()] || null),
+        /**
+         * Sets the credentials of a bridge.
+         *
+         * @method set
+         * @param {String} bridgeId bridge ID
+         * @param {Object} credentials credentials (username, and clientkey if any)
+         * @return {Promise} promise resolving when saved
+         */
+        set: (bridgeId, credentials) => update(map => map[String(bridgeId).toLowerCase()] = credentials),
+        /**
+         * Deletes the credentials of a bridge.
+         *
+         * @method delete
+         * @param {String} bridgeId bridge ID
+         * @return {Promise} promise resolving when saved
+         */
+        delete: bridgeId => update(map => delete map[String(bridgeId).toLowerCase()])
+    };
+};
+
+/**
+ * Creates in-memory credential store.
+ *
+ * @method memoryStore
+ * @param {Object} credentials initial credentials by bridge ID (optional)
+ * @return {Object} credential store
+ */
+var memoryStore = (credentials = {}) => {
+    var _map = {};
+
+    Object.keys(credentials).forEach(id => _map[id.toLowerCase()] = credentials[id]);
+
+    return _credentialStore(() => _map, () => {});
+};
+
+/**
+ * Creates credential store persisted in a JSON file.
+ *
+ * A missing file is treated as empty.
+ *
+ * @method fileStore
+ * @param {String} path file path
+ * @param {Object} fs fs implementation, such as Node's fs module
+ * @return {Object} credential store
+ */
+var fileStore = (path, fs) => _credentialStore(
+    () => new Promise((resolve, reject) => fs.readFile(path, 'utf8', (error, text) => {
+        if(error) {
+            return error.code === 'ENOENT' ? resolve({}) : reject(error);
+        }
+        try {
+            resolve(JSON.parse(text));
+        }
+        catch(e) {
+            reject(e);
+        }
+    })),
+    map => new Promise((resolve, reject) => fs.writeFile(path, JSON.stringify(map, null, 2), 'utf8',
+        error => error ? reject(error) : resolve()))
+);
+
+/**
+ * Creates credential store persisted in Web Storage.
+ *
+ * @method localStorageStore
+ * @param {Object} storage Storage implementation (default localStorage)
+ * @param {String} key storage key (default jshue.credentials)
+ * @return {Object} credential store
+ */
+var localStorageStore = (storage = localStorage, key = 'jshue.credentials') => _credentialStore(
+    () => JSON.parse(storage.getItem(key) || '{}'),
+    map => storage.setItem(key, JSON.stringify(map))
+);
+
+/* ================================================== */
+/* HTTPS                                              */
+/* ================================================== */
+
+/**
+ * Creates HTTPS agent validating the certificate of a bridge.
+ *
+ * Bridges use certificates whose common name (CN) is the bridge ID, either
+ * self-signed or signed by the Signify private CA, and not valid for the
+ * bridge IP address. The agent accepts a certificate if its SHA-256 (or
+ * SHA-1) fingerprint matches the pinned fingerprint, or otherwise if its CN
+ * matches the bridge ID and its chain is valid for the given CA certificate.
+ * Bridge IDs are broadcast on the network, so anyone could create a
+ * certificate with a matching CN; the CA certificate is therefore required
+ * unless a fingerprint is pinned. If both are given, the chain must also be
+ * valid. Connections to other servers are closed before any request is sent.
+ *
+ * Supported options:
+ *
+ * - bridgeId: bridge ID expected as certificate CN
+ * - fingerprint: pinned certificate fingerprint (hex, colons optional)
+ * - ca: CA certificate(s) for validating the certificate chain, such as the
+ *   Signify root CA (required unless a fingerprint is pinned)
+ *
+ * The agent can be passed as the agent option of jsHue or bridge options,
+ * with a fetch implementation supporting agents, such as node-fetch.
+ *
+ * @method bridgeAgent
+ * @param {Object} options options
+ * @param {Object} https https implementation, such as Node's https module
+ * @return {Object} agent
+ */
+var bridgeAgent = (options, https) => {
+    var _normalize = value => String(value).replace(/:/g, '').toLowerCase(),
+        _fingerprint = options.fingerprint ? _normalize(options.fingerprint) : null,
+        _bridgeId = options.bridgeId ? String(options.bridgeId).toLowerCase() : null;
+
+    if(!_fingerprint && !_bridgeId) {
+        throw new HueError('Bridge agent requires a bridge ID or fingerprint');
+    }
+    if(!_fingerprint && !options.ca) {
+        throw new HueError('Bridge agent requires a CA certificate to check the bridge ID');
+    }
+
+    var check = cert => {
+        if(!cert || !cert.subject) {
+            return new HueError('Bridge did not present a certificate');
+        }
+        if(_fingerprint) {
+            return [cert.fingerprint256, cert.fingerprint].some(f => f && _normalize(f) === _fingerprint)
+                ? null
+                : new HueError('Bridge certificate does not match pinned fingerprint');
+        }
+        return String(cert.subject.CN).toLowerCase() === _bridgeId
+            ? null
+            : new HueError(`Bridge certificate CN ${cert.subject.CN} does not match bridge ID ${options.bridgeId}`);
+    };
+
+    var agent = new https.Agent(Object.assign({
+        rejectUnauthorized: !!options.ca,
+        // the certificate is not valid for the IP address; the CN or fingerprint is checked below
+        checkServerIdentity: () => undefined
+    }, options.ca ? { ca: options.ca } : {}));
+
+    var createConnection = agent.createConnection;
+
+    // secureConnect is emitted before the request is written, so the socket
+    // can be closed the same way Node rejects unauthorized connections
+    agent.createConnection = function(...args) {
+        var socket = createConnection.apply(this, args);
+
+        socket.once('secureConnect', () => {
+            var error = check(socket.getPeerCertificate());
+
+            if(error) {
+                socket.destroy(error);
+            }
+        });
+        return socket;
+    };
+
+    return agent;
+};
+
+/* ================================================== */
+/* Colors                                             */
+/* ================================================== */
+
+/**
+ * CSS named colors as hex colors.
+ *
+ * @property _namedColors
+ * @private
+ * @type Object
+ */
+var _namedColors = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+    azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+    blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+    burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+    coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+    darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+    darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00',
+    darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f',
+    darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493',
+    deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+    firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+    gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520',
+    gray: '808080', green: '008000', greenyellow: 'adff2f', grey: '808080',
+    honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c', indigo: '4b0082',
+    ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+    lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+    lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+    lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899',
+    lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+    lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff',
+    maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd',
+    mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+    mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa',
+    mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080',
+    oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23', orange: 'ffa500',
+    orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5',
+    peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd',
+    powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399', red: 'ff0000',
+    rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d',
+    silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090',
+    slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4',
+    tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347',
+    turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+/**
+ * Finds the closest point to p on the line segment from a to b.
+ *
+ * @method _closestOnSegment
+ * @private
+ * @param {Array} p point
+ * @param {Array} a segment start
+ * @param {Array} b segment end
+ * @return {Array} closest point
+ */
+var _closestOnSegment = (p, a, b) => {
+    var ab = [b[0] - a[0], b[1] - a[1]],
+        t = ((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1]) / (ab[0] * ab[0] + ab[1] * ab[1]);
+
+    t = Math.max(0, Math.min(1, t));
+    return [a[0] + t * ab[0], a[1] + t * ab[1]];
+};
+
+/**
+ * Converts an sRGB channel value (0 to 1) to linear light.
+ *
+ * @method _linear
+ * @private
+ * @param {Number} c sRGB channel value
+ * @return {Number} linear channel value
+ */
+var _linear = c => c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+
+/**
+ * Converts a linear channel value (0 to 1) to sRGB.
+ *
+ * @method _gamma
+ * @private
+ * @param {Number} c linear channel value
+ * @return {Number} sRGB channel value
+ */
+var _gamma = c => c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+/**
+ * Color conversions for Hue lights.
+ *
+ * Colors are given as hex colors (#rrggbb or #rgb), CSS color names, rgb()
+ * strings, RGB arrays ([r, g, b], 0 to 255), RGB objects ({r, g, b}), or HSL
+ * objects ({h, s, l}, hue 0 to 360 and saturation and lightness 0 to 100).
+ * Gamuts are given as gamut types (A, B, or C) or as arrays of the red, green,
+ * and blue corners in xy coordinates.
+ *
+ * @class hueColor
+ * @static
  */
-var jsHueAPI = (fetch, Response, JSON, Promise) => {
+var hueColor = {
+    /**
+     * Color gamuts of Hue lights by gamut type.
+     *
+     * @property gamuts
+     * @type Object
+     */
+    gamuts: {
+        A: [[0.704, 0.296], [0.2151, 0.7106], [0.138, 0.08]],
+        B: [[0.675, 0.322], [0.409, 0.518], [0.167, 0.04]],
+        C: [[0.6915, 0.3083], [0.17, 0.7], [0.1532, 0.0475]]
+    },
+    /**
+     * Parses a color.
+     *
+     * @method parse
+     * @param {Object} value color
+     * @return {Array} RGB color ([r, g, b], 0 to 255)
+     */
+    parse: value => {
+        if(Array.isArray(value) && value.length === 3) {
+            return value.map(c => Math.max(0, Math.min(255, Math.round(c))));
+        }
+        if(value && typeof value === 'object' && 'r' in value) {
+            return hueColor.parse([value.r, value.g, value.b]);
+        }
+        if(value && typeof value === 'object' && 'h' in value) {
+            return hueColor.hslToRgb(value);
+        }
+
+        var text = String(value).trim().toLowerCase(),
+            rgb = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(text);
+
+        if(rgb) {
+            return hueColor.parse(rgb.slice(1).map(Number));
+        }
+        return hueColor.hexToRgb(_namedColors[text] || text);
+    },
+    /**
+     * Converts a hex color to RGB.
+     *
+     * @method hexToRgb
+     * @param {String} hex hex color (#rrggbb or #rgb)
+     * @return {Array} RGB color
+     */
+    hexToRgb: hex => {
+        var match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+
+        if(!match) {
+            throw new HueError(`Invalid color: ${hex}`);
+        }
+
+        var digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+
+        return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+    },
+    /**
+     * Converts an RGB color to hex.
+     *
+     * @method rgbToHex
+     * @param {Array} rgb RGB color
+     * @return {String} hex color (#rrggbb)
+     */
+    rgbToHex: rgb => '#' + hueColor.parse(rgb).map(c => (c < 16 ? '0' : '') + c.toString(16)).join(''),
+    /**
+     * Converts an HSL color to RGB.
+     *
+     * @method hslToRgb
+     * @param {Object} hsl HSL color ({h, s, l})
+     * @return {Array} RGB color
+     */
+    hslToRgb: hsl => {
+        var h = ((hsl.h % 360) + 360) % 360,
+            s = Math.max(0, Math.min(100, hsl.s)) / 100,
+            l = Math.max(0, Math.min(100, hsl.l)) / 100,
+            a = s * Math.min(l, 1 - l);
+
+        var channel = n => {
+            var k = (n + h / 30) % 12;
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+
+        return [0, 8, 4].map(n => Math.round(channel(n) * 255));
+    },
+    /**
+     * Converts an RGB color to HSL.
+     *
+     * @method rgbToHsl
+     * @param {Array} rgb RGB color
+     * @return {Object} HSL color ({h, s, l})
+     */
+    rgbToHsl: rgb => {
+        var [r, g, b] = hueColor.parse(rgb).map(c => c / 255),
+            max = Math.max(r, g, b),
+            min = Math.min(r, g, b),
+            d = max - min,
+            l = (max + min) / 2,
+            s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1)),
+            h = d === 0 ? 0
+                : max === r ? ((g - b) / d + 6) % 6
+                : max === g ? (b - r) / d + 2
+                : (r - g) / d + 4;
+
+        return { h: Math.round(h * 60), s: Math.round(s * 100), l: Math.round(l * 100) };
+    },
+    /**
+     * Converts an RGB color to xy color coordinates, using the wide gamut
+     * conversion recommended by Philips.
+     *
+     * @method rgbToXy
+     * @param {Array} rgb RGB color
+     * @param {Object} gamut gamut to clamp to (optional)
+     * @return {Array} xy color coordinates
+     */
+    rgbToXy: (rgb, gamut) => {
+        var [r, g, b] = hueColor.parse(rgb).map(c => _linear(c / 255));
+
+        var X = r * 0.664511 + g * 0.154324 + b * 0.162028,
+            Y = r * 0.283881 + g * 0.668433 + b * 0.047685,
+            Z = r * 0.000088 + g * 0.072310 + b * 0.986039,
+            sum = X + Y + Z;
+
+        // black has no chromaticity; use the white point
+        return hueColor.clampToGamut(sum === 0 ? [0.3227, 0.329] : [X / sum, Y / sum], gamut);
+    },
+    /**
+     * Converts xy color coordinates to an RGB color.
+     *
+     * @method xyToRgb
+     * @param {Array} xy xy color coordinates
+     * @param {Number} bri brightness (1 to 254, default 254)
+     * @return {Array} RGB color
+     */
+    xyToRgb: (xy, bri = 254) => {
+        var [x, y] = xy,
+            Y = bri / 254,
+            X = y === 0 ? 0 : Y / y * x,
+            Z = y === 0 ? 0 : Y / y * (1 - x - y);
+
+        var rgb = [
+            X * 1.656492 - Y * 0.354851 - Z * 0.255038,
+            -X * 0.707196 + Y * 1.655397 + Z * 0.036152,
+            X * 0.051713 - Y * 0.121364 + Z * 1.011530
+        ].map(c => _gamma(Math.max(0, c)));
+
+        var max = Math.max(1, ...rgb);
+
+        return rgb.map(c => Math.round(c / max * 255));
+    },
+    /**
+     * Converts a color to xy color coordinates.
+     *
+     * @method toXy
+     * @param {Object} value color
+     * @param {Object} gamut gamut to clamp to (optional)
+     * @return {Array} xy color coordinates
+     */
+    toXy: (value, gamut) => hueColor.rgbToXy(hueColor.parse(value), gamut),
+    /**
+     * Converts xy color coordinates to a hex color.
+     *
+     * @method xyToHex
+     * @param {Array} xy xy color coordinates
+     * @param {Number} bri brightness (1 to 254, default 254)
+     * @return {String} hex color
+     */
+    xyToHex: (xy, bri) => hueColor.rgbToHex(hueColor.xyToRgb(xy, bri)),
+    /**
+     * Clamps xy color coordinates to the closest point within a gamut.
+     *
+     * @method clampToGamut
+     * @param {Array} xy xy color coordinates
+     * @param {Object} gamut gamut (optional)
+     * @return {Array} xy color coordinates, rounded to 4 decimals
+     */
+    clampToGamut: (xy, gamut) => {
+        var corners = typeof gamut === 'string' ? hueColor.gamuts[gamut.toUpperCase()] : gamut,
+            point = xy;
+
+        if(corners) {
+            var [r, g, b] = corners,
+                cross = (a, b, p) => (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]),
+                sides = [cross(r, g, xy), cross(g, b, xy), cross(b, r, xy)];
+
+            if(!(sides.every(d => d >= 0) || sides.every(d => d <= 0))) {
+                point = [[r, g], [g, b], [b, r]]
+                    .map(([a, b]) => _closestOnSegment(xy, a, b))
+                    .reduce((best, p) => Math.hypot(p[0] - xy[0], p[1] - xy[1]) < Math.hypot(best[0] - xy[0], best[1] - xy[1]) ? p : best);
+            }
+        }
+        return point.map(v => Math.round(v * 10000) / 10000);
+    },
+    /**
+     * Gets the gamut of a light from its capabilities.
+     *
+     * @method gamut
+     * @param {Object} light light data (as returned by getLight)
+     * @return {Array} gamut corners, or null if unknown
+     */
+    gamut: light => {
+        var control = light && light.capabilities && light.capabilities.control || {};
+
+        return control.colorgamut || hueColor.gamuts[control.colorgamuttype] || null;
+    },
+    /**
+     * Color temperature range of Hue lights in mired, used for lights whose
+     * range is unknown.
+     *
+     * @property ctRange
+     * @type Object
+     */
+    ctRange: { min: 153, max: 500 },
+    /**
+     * Gets the color temperature range of a light from its capabilities.
+     *
+     * @method lightCtRange
+     * @param {Object} light light data (as returned by getLight)
+     * @return {Object} range in mired (min and max), or null if the light has no
+     * color temperature
+     */
+    lightCtRange: light => {
+        var control = light && light.capabilities && light.capabilities.control || {};
+
+        return control.ct ? { min: control.ct.min, max: control.ct.max } : null;
+    },
+    /**
+     * Converts a color temperature in Kelvin to mired.
+     *
+     * @method kelvinToMired
+     * @param {Number} kelvin color temperature in Kelvin
+     * @param {Object} range range in mired to clamp to (min and max, optional)
+     * @return {Number} color temperature in mired
+     */
+    kelvinToMired: (kelvin, range) => {
+        var mired = Math.round(1000000 / kelvin);
+
+        return range ? Math.max(range.min, Math.min(range.max, mired)) : mired;
+    },
+    /**
+     * Converts a color temperature in mired to Kelvin.
+     *
+     * @method miredToKelvin
+     * @param {Number} mired color temperature in mired
+     * @return {Number} color temperature in Kelvin
+     */
+    miredToKelvin: mired => Math.round(1000000 / mired),
+    /**
+     * Approximates the RGB color of a color temperature in Kelvin.
+     *
+     * @method kelvinToRgb
+     * @param {Number} kelvin color temperature in Kelvin
+     * @return {Array} RGB color
+     */
+    kelvinToRgb: kelvin => {
+        var t = Math.max(1000, Math.min(40000, kelvin)) / 100;
+
+        return hueColor.parse([
+            t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592),
+            t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492),
+            t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307
+        ]);
+    },
+    /**
+     * Converts a light hue and saturation to an RGB color at full brightness.
+     *
+     * @method hueSatToRgb
+     * @param {Number} hue hue (0 to 65535)
+     * @param {Number} sat saturation (0 to 254)
+     * @return {Array} RGB color
+     */
+    hueSatToRgb: (hue, sat) => {
+        var h = hue / 65536 * 6,
+            s = Math.max(0, Math.min(254, sat)) / 254,
+            f = h - Math.floor(h),
+            [p, q, t] = [1 - s, 1 - s * f, 1 - s * (1 - f)];
+
+        return [[1, t, p], [q, 1, p], [p, 1, t], [p, q, 1], [t, p, 1], [1, p, q]][Math.floor(h) % 6]
+            .map(c => Math.round(c * 255));
+    },
+    /**
+     * Approximates the displayed RGB color of a light from its state.
+     *
+     * Honors the color mode (xy, hs, or ct), the brightness, and whether the
+     * light is on, and clamps colors to the gamut of the light. Lights that are
+     * off are black, and lights without color are shown in warm white (2700 K).
+     *
+     * @method lightToRgb
+     * @param {Object} light light data (as returned by getLight)
+     * @return {Array} RGB color
+     */
+    lightToRgb: light => {
+        var state = light && light.state || {},
+            gamut = hueColor.gamut(light),
+            xy;
+
+        if(!state.on) {
+            return [0, 0, 0];
+        }
+
+        if(state.colormode === 'xy' && state.xy) {
+            xy = hueColor.clampToGamut(state.xy, gamut);
+        }
+        else if(state.colormode === 'hs' && 'hue' in state) {
+            xy = hueColor.rgbToXy(hueColor.hueSatToRgb(state.hue, 'sat' in state ? state.sat : 254), gamut);
+        }
+        else if(state.colormode === 'ct' && state.ct) {
+            xy = hueColor.rgbToXy(hueColor.kelvinToRgb(hueColor.miredToKelvin(state.ct)));
+        }
+        else {
+            xy = hueColor.rgbToXy(hueColor.kelvinToRgb(2700));
+        }
+
+        // scale the color at full brightness in linear light, so that saturated
+        // colors are dimmed as well
+        var scale = ('bri' in state ? state.bri : 254) / 254;
+
+        return hueColor.xyToRgb(xy).map(c => Math.round(_gamma(_linear(c / 255) * scale) * 255));
+    },
+    /**
+     * Approximates the displayed hex color of a light from its state.
+     *
+     * See lightToRgb.
+     *
+     * @method lightToHex
+     * @param {Object} light light data (as returned by getLight)
+     * @return {String} hex color
+     */
+    lightToHex: light => hueColor.rgbToHex(hueColor.lightToRgb(light))
+};
+
+/* ================================================== */
+/* Sun                                                */
+/* ================================================== */
+
+/**
+ * Sun position and adaptive lighting calculations.
+ *
+ * The sun position is calculated offline with the low precision formulas of
+ * the Astronomical Almanac, which are accurate to about a hundredth of a degree
+ * in this century.
+ *
+ * @class hueSun
+ * @static
+ */
+var hueSun = {
+    /**
+     * Calculates the elevation of the sun above the horizon.
+     *
+     * @method elevation
+     * @param {Date} date date
+     * @param {Number} latitude latitude in degrees (north positive)
+     * @param {Number} longitude longitude in degrees (east positive)
+     * @return {Number} elevation in degrees
+     */
+    elevation: (date, latitude, longitude) => {
+        var rad = Math.PI / 180,
+            d = date.getTime() / 86400000 - 10957.5, // days since J2000.0
+            g = (357.529 + 0.98560028 * d) * rad,
+            l = (280.459 + 0.98564736 * d + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad,
+            e = (23.439 - 0.00000036 * d) * rad,
+            ra = Math.atan2(Math.cos(e) * Math.sin(l), Math.cos(l)),
+            declination = Math.asin(Math.sin(e) * Math.sin(l)),
+            hourAngle = (280.46061837 + 360.98564736629 * d + longitude) * rad - ra;
+
+        return Math.asin(Math.sin(latitude * rad) * Math.sin(declination) +
+            Math.cos(latitude * rad) * Math.cos(declination) * Math.cos(hourAngle)) / rad;
+    },
+    /**
+     * Calculates the adaptive lighting state for a date.
+     *
+     * The state follows the elevation of the sun: it has the night values
+     * while the sun is more than 6 degrees below the horizon (after civil dusk),
+     * the day values while it is more than 30 degrees above the horizon, and
+     * values in between otherwise. Color temperatures are interpolated in mired.
+     *
+     * Supported options:
+     *
+     * - latitude, longitude: location in degrees
+     * - kelvin: color temperature in Kelvin at night and at day (default
+     *   [2200, 5000])
+     * - bri: brightness at night and at day (default [77, 254])
+     *
+     * @method adaptiveState
+     * @param {Date} date date
+     * @param {Object} options location and curve options
+     * @return {Object} state (ct, bri, and elevation)
+     */
+    adaptiveState: (date, options) => {
+        var elevation = hueSun.elevation(date, options.latitude, options.longitude),
+            t = Math.max(0, Math.min(1, (elevation + 6) / 36)),
+            ct = (options.kelvin || [2200, 5000]).map(k => hueColor.kelvinToMired(k, hueColor.ctRange)),
+            bri = options.bri || [77, 254];
+
+        return {
+            ct: Math.round(ct[0] + (ct[1] - ct[0]) * t),
+            bri: Math.round(bri[0] + (bri[1] - bri[0]) * t),
+            elevation
+        };
+    }
+};
+
+/* ================================================== */
+/* Schedule times                                     */
+/* ================================================== */
+
+/**
+ * Weekday names in the order of the weekday bitmask (Monday, 64, to Sunday, 1).
+ *
+ * @property _weekdays
+ * @private
+ * @type Array
+ */
+var _weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Formats seconds as a [hh]:[mm]:[ss] time.
+ *
+ * @method _clock
+ * @private
+ * @param {Number} seconds seconds
+ * @return {String} time
+ */
+var _clock = seconds => [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+
+/**
+ * Parses a [hh]:[mm]:[ss] time to seconds.
+ *
+ * @method _seconds
+ * @private
+ * @param {String} time time
+ * @return {Number} seconds
+ */
+var _seconds = time => time.split(':').reduce((seconds, n) => seconds * 60 + Number(n), 0);
+
+/**
+ * Schedule time pattern builder and parser.
+ *
+ * Patterns are described by objects with a type and the following attributes,
+ * where times of day are objects (hours, minutes, and seconds) and durations
+ * are in milliseconds, rounded to seconds:
+ *
+ * - absolute: date (Date, in the local time of the bridge), random (optional)
+ * - recurring: days (weekday names or bitmask), time, random (optional)
+ * - timer: duration, random (optional)
+ * - recurringTimer: duration, repeat (number of times, forever if omitted),
+ *   random (optional)
+ * - interval: days (optional, every day if omitted), start, end
+ *
+ * The random attribute is the longest random delay added by the bridge.
+ *
+ * @class hueTime
+ * @static
+ */
+var hueTime = {
+    /**
+     * Builds a schedule time pattern.
+     *
+     * @method build
+     * @param {Object} pattern pattern object
+     * @return {String} time pattern, e.g. 'W124/T07:30:00'
+     */
+    build: pattern => {
+        var fail = () => {
+            throw new HueError(`Invalid time pattern: ${JSON.stringify(pattern)}`);
+        };
+
+        var days = value => {
+            var mask = Array.isArray(value)
+                ? value.reduce((mask, day) => _weekdays.indexOf(day) === -1 ? fail() : mask | 64 >> _weekdays.indexOf(day), 0)
+                : value;
+
+            return Number.isInteger(mask) && mask > 0 && mask < 128 ? mask : fail();
+        };
+
+        var time = value => {
+            var t = value || {},
+                valid = [t.hours, t.minutes, t.seconds || 0].every(Number.isInteger) &&
+                    t.hours >= 0 && t.hours < 24 && t.minutes >= 0 && t.minutes < 60 && (t.seconds || 0) >= 0 && (t.seconds || 0) < 60;
+
+            return valid ? _clock(t.hours * 3600 + t.minutes * 60 + (t.seconds || 0)) : fail();
+        };
+
+        var duration = (ms, min = 1) => {
+            var seconds = Math.round(ms / 1000);
+
+            return seconds >= min && seconds < 86400 ? _clock(seconds) : fail();
+        };
+
+        var random = pattern.random ? `A${duration(pattern.random)}` : '';
+
+        switch(pattern.type) {
+            case 'absolute':
+                var date = pattern.date instanceof Date && !isNaN(pattern.date) ? pattern.date : fail(),
+                    pad = n => String(n).padStart(2, '0');
+
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+                    `${time({ hours: date.getHours(), minutes: date.getMinutes(), seconds: date.getSeconds() })}${random}`;
+            case 'recurring':
+                return `W${days(pattern.days)}/T${time(pattern.time)}${random}`;
+            case 'timer':
+                return `PT${duration(pattern.duration)}${random}`;
+            case 'recurringTimer':
+                var repeat = pattern.repeat === undefined ? ''
+                    : Number.isInteger(pattern.repeat) && pattern.repeat > 0 && pattern.repeat < 100 ? String(pattern.repeat).padStart(2, '0')
+                    : fail();
+
+                return `R${repeat}/PT${duration(pattern.duration)}${random}`;
+            case 'interval':
+                return `${pattern.days === undefined ? '' : `W${days(pattern.days)}/`}T${time(pattern.start)}/T${time(pattern.end)}`;
+            default:
+                return fail();
+        }
+    },
+    /**
+     * Parses a schedule time pattern.
+     *
+     * @method parse
+     * @param {String} text time pattern
+     * @return {Object} pattern object (with days as weekday names)
+     */
+    parse: text => {
+        var clock = '(\\d{2}:\\d{2}:\\d{2})',
+            random = `(?:A${clock})?`,
+            match = regexp => new RegExp(`^${regexp}$`).exec(text),
+            time = t => ({ hours: Math.floor(_seconds(t) / 3600), minutes: Math.floor(_seconds(t) / 60) % 60, seconds: _seconds(t) % 60 }),
+            days = mask => _weekdays.filter((day, i) => mask & 64 >> i),
+            pattern = null,
+            m;
+
+        if((m = match(`(\\d{4})-(\\d{2})-(\\d{2})T${clock}${random}`))) {
+            var t = time(m[4]);
+
+            pattern = { type: 'absolute', date: new Date(m[1], m[2] - 1, m[3], t.hours, t.minutes, t.seconds) };
+        }
+        else if((m = match(`W(\\d{1,3})/T${clock}${random}`))) {
+            pattern = { type: 'recurring', days: days(Number(m[1])), time: time(m[2]) };
+        }
+        else if((m = match(`(?:W(\\d{1,3})/)?T${clock}/T${clock}`))) {
+            pattern = Object.assign({ type: 'interval' }, m[1] ? { days: days(Number(m[1])) } : {}, { start: time(m[2]), end: time(m[3]) });
+        }
+        else if((m = match(`PT${clock}${random}`))) {
+            pattern = { type: 'timer', duration: _seconds(m[1]) * 1000 };
+        }
+        else if((m = match(`R(\\d{2})?/PT${clock}${random}`))) {
+            pattern = Object.assign({ type: 'recurringTimer' }, m[1] ? { repeat: Number(m[1]) } : {}, { duration: _seconds(m[2]) * 1000 });
+        }
+
+        var r = m && pattern && pattern.type !== 'interval' && m[m.length - 1];
+
+        if(r) {
+            pattern.random = _seconds(r) * 1000;
+        }
+
+        // building checks the ranges of all values
+        try {
+            if(pattern && hueTime.build(pattern) === text) {
+                return pattern;
+            }
+        }
+        catch(e) {
+            // invalid value
+        }
+        throw new HueError(`Invalid time pattern: ${text}`);
+    },
+    /**
+     * Calculates the next times a schedule fires.
+     *
+     * Random delays are not included. Timers start at the given time, e.g.
+     * when the schedule is created or enabled. For intervals, the start
+     * times are calculated.
+     *
+     * @method next
+     * @param {Object} pattern time pattern, or pattern object
+     * @param {Number} count maximum number of times (default 1)
+     * @param {Date} from time to calculate from (default now)
+     * @return {Array} dates
+     * @throws {HueError} if the count is not a finite number
+     */
+    next: (pattern, count = 1, from = new Date()) => {
+        if(typeof count !== 'number' || !isFinite(count)) {
+            throw new HueError(`Invalid count: ${count}`);
+        }
+
+        var p = typeof pattern === 'string' ? hueTime.parse(pattern) : hueTime.parse(hueTime.build(pattern)),
+            dates = [];
+
+        if(p.type === 'absolute') {
+            return p.date >= from && count > 0 ? [p.date] : [];
+        }
+        if(p.type === 'timer' || p.type === 'recurringTimer') {
+            var repeat = p.type === 'timer' ? 1 : p.repeat || Infinity;
+
+            for(var i = 1; i <= Math.min(count, repeat); i++) {
+                dates.push(new Date(from.getTime() + i * p.duration));
+            }
+            return dates;
+        }
+
+        var t = p.time || p.start,
+            days = p.days || _weekdays;
+
+        for(var day = 0; dates.length < count; day++) {
+            var date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day, t.hours, t.minutes, t.seconds);
+
+            if(date >= from && days.indexOf(_weekdays[(date.getDay() + 6) % 7]) !== -1) {
+                dates.push(date);
+            }
+        }
+        return dates;
+    }
+};
+
+/**
+ * jsHue API class.
+ *
+ * Supported options:
+ *
+ * - rejectErrors: if true, promises are rejected with a HueApiError when the
+ *   response contains bridge errors, and with a HueHttpError when the HTTP
+ *   status is not 2xx (default false)
+ * - timeout: default request timeout in milliseconds, or 0 for none (default 0)
+ * - retry: default retry options (attempts, minDelay, maxDelay, factor, jitter,
+ *   methods, statuses, types), true for default retry options, or false for no
+ *   retries (default false)
+ * - dgram: dgram implementation for multicast discovery, such as Node's dgram
+ *   module (optional)
+ * - store: credential store used by connect (default in-memory store)
+ * - https: if true, requests to bridges are made over HTTPS (default false)
+ * - agent: agent passed to fetch for requests to bridges, such as one created
+ *   by bridgeAgent to validate bridge certificates (optional)
+ *
+ * API methods accept request options as an optional last parameter:
+ *
+ * - signal: AbortSignal to cancel the request
+ * - timeout: request timeout in milliseconds, overriding the default
+ * - retry: retry options, overriding the default
+ *
+ * @class jsHueAPI
+ * @constructor
+ * @param {Function} fetch fetch dependency
+ * @param {Function} Response response dependency
+ * @param {Object} JSON JSON dependency
+ * @param {Function} Promise promise dependency
+ * @param {Object} options options (optional)
+ * @return {Object} instance
+ */
+var jsHueAPI = (fetch, Response, JSON, Promise, options = {}) => {
+    var _options = Object.assign({
+        rejectErrors: false,
+        timeout: 0,
+        retry: false
+    }, options);
+
+    if(!_options.store) {
+        _options.store = memoryStore();
+    }
+
+    /**
+     * Rejects bridge errors in response data.
+     *
+     * @method _checkErrors
+     * @private
+     * @param {Object} data response data object
+     * @return {Object} response data object
+     * @throws {HueApiError} if response data contains errors
+     */
+    var _checkErrors = data => {
+        if(Array.isArray(data)) {
+            var errors = data.filter(r => r && r.error).map(r => r.error);
+
+            if(errors.length > 0) {
+                var successes = data.filter(r => r && 'success' in r).map(r => r.success);
+                throw HueApiError.create(errors[0], successes, errors);
+            }
+        }
+        else if(data && Array.isArray(data.errors) && data.errors.length > 0) {
+            // CLIP API v2 response
+            throw HueApiError.create(data.errors[0], data.data || [], data.errors);
+        }
+        return data;
+    };
+
+    /**
+     * Picks the given keys present in an object.
+     *
+     * @method _pick
+     * @private
+     * @param {Object} object object
+     * @param {Array} keys keys to pick
+     * @return {Object} object with the keys present in the given object
+     */
+    var _pick = (object, keys) => keys
+        .filter(k => k in object)
+        .reduce((picked, k) => Object.assign(picked, { [k]: object[k] }), {});
+
+    /**
+     * Reads response JSON.
+     *
+     * @method _readJson
+     * @private
+     * @param {Object} settings request settings
+     * @param {String} url request URL
+     * @param {Object} response fetch response
+     * @return {Promise} promise resolving to response data object
+     */
+    var _readJson = (settings, url, response) => {
+        if(!settings.rejectErrors) {
+            return response.json();
+        }
+        if(!response.ok) {
+            throw new HueHttpError(url, response);
+        }
+        return response.json().then(_checkErrors);
+    };
+
+    /**
+     * Reads response text, such as an XML document.
+     *
+     * @method _readText
+     * @private
+     * @param {String} url request URL
+     * @param {Object} response fetch response
+     * @return {Promise} promise resolving to response text
+     * @throws {HueHttpError} if the HTTP status is not 2xx
+     */
+    var _readText = (url, response) => {
+        if(!response.ok) {
+            throw new HueHttpError(url, response);
+        }
+        return response.text();
+    };
+
+    /**
+     * Runs a request which can be cancelled by a signal or time out.
+     *
+     * The request function is called with the signal to pass to fetch. Where
+     * AbortController is available, this signal aborts the underlying fetch when
+     * the request is cancelled or times out.
+     *
+     * @method _abortable
+     * @private
+     * @param {Function} request request function
+     * @param {Object} signal AbortSignal (optional)
+     * @param {Number} timeout timeout in milliseconds, or 0 for none
+     * @return {Promise} promise resolving to request result
+     */
+    var _abortable = (request, signal, timeout) => {
+        if(!signal && !timeout) {
+            return request(signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            var controller = typeof AbortController !== 'undefined' ? new AbortController() : null,
+                timer = null;
+
+            var finish = () => {
+                clearTimeout(timer);
+                if(signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            var abort = error => {
+                finish();
+                if(controller) {
+                    controller.abort();
+                }
+                reject(error);
+            };
+
+            var onAbort = () => abort(new HueAbortError());
+
+            if(signal) {
+                if(signal.aborted) {
+                    throw new HueAbortError();
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+            if(timeout) {
+                timer = setTimeout(() => abort(new HueTimeoutError(timeout)), timeout);
+            }
+
+            request(controller ? controller.signal : signal).then(
+                result => { finish(); resolve(result); },
+                error => { finish(); reject(error); }
+            );
+        });
+    };
+
+    /**
+     * Creates retry policy from retry option.
+     *
+     * Supported retry options:
+     *
+     * - attempts: maximum number of attempts, including the first (default 3)
+     * - minDelay: delay before the first retry in milliseconds (default 250)
+     * - maxDelay: maximum delay between attempts in milliseconds (default 5000)
+     * - factor: exponential backoff factor (default 2)
+     * - jitter: if true, randomize delays between half and all of their
+     *   nominal value (default true)
+     * - methods: methods to retry (default GET, PUT, and DELETE, since
+     *   retrying POST may create resources twice)
+     * - statuses: HTTP statuses to retry (default 429, 500, 502, 503, and 504)
+     * - types: bridge error types to retry (default 901, internal error)
+     *
+     * Network errors and timeouts are always retried.
+     *
+     * @method _retryPolicy
+     * @private
+     * @param {Object} retry retry options, true for defaults, or false for none
+     * @return {Object} retry policy, or null for none
+     */
+    var _retryPolicy = retry => retry ? Object.assign({
+        attempts: 3,
+        minDelay: 250,
+        maxDelay: 5000,
+        factor: 2,
+        jitter: true,
+        methods: ['GET', 'PUT', 'DELETE'],
+        statuses: [429, 500, 502, 503, 504],
+        types: [901]
+    }, retry === true ? {} : retry) : null;
+
+    /**
+     * Computes the delay before a retry.
+     *
+     * @method _retryDelay
+     * @private
+     * @param {Object} policy retry policy
+     * @param {Number} attempt number of the failed attempt (starting at 1)
+     * @return {Number} delay in milliseconds
+     */
+    var _retryDelay = (policy, attempt) => {
+        var delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+        return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+    };
+
+    /**
+     * Checks whether a failed attempt should be retried.
+     *
+     * Fetch rejects with a TypeError on network errors. Bridge errors are
+     * retryable if any error in the same response is.
+     *
+     * @method _isRetryable
+     * @private
+     * @param {Object} policy retry policy
+     * @param {Error} error error
+     * @return {Boolean} true if retryable
+     */
+    var _isRetryable = (policy, error) =>
+        error instanceof HueTimeoutError
+        || (error instanceof HueHttpError && policy.statuses.indexOf(error.status) >= 0)
+        || (error instanceof HueApiError && error.errors.some(e => policy.types.indexOf(e.type) >= 0))
+        || error instanceof TypeError;
+
+    /**
+     * Performs a single fetch attempt.
+     *
+     * If a retry policy is given and this is not the last attempt, responses
+     * with retryable HTTP statuses or bridge errors are rejected so that they
+     * can be retried, even if the settings do not reject errors. Responses
+     * mixing retryable and other bridge errors are rejected with the first
+     * retryable one.
+     *
+     * @method _attempt
+     * @private
+     * @param {Function} read function reading the response data from the response
+     * @param {Object} policy retry policy, or null for none
+     * @param {Boolean} last true if this is the last attempt
+     * @param {String} url request URL
+     * @param {Object} init fetch init object
+     * @param {Object} signal AbortSignal (optional)
+     * @param {Number} timeout timeout in milliseconds, or 0 for none
+     * @return {Promise} promise resolving to response data object
+     */
+    var _attempt = (read, policy, last, url, init, signal, timeout) => _abortable(signal => {
+        if(signal) {
+            init = Object.assign({}, init, {signal: signal});
+        }
+
+        return fetch(url, init)
+            .then(response => {
+                if(policy && !last && !response.ok && policy.statuses.indexOf(response.status) >= 0) {
+                    throw new HueHttpError(url, response);
+                }
+                return read(response);
+            })
+            .then(data => {
+                var errors = policy && !last && Array.isArray(data) ? data.filter(r => r && r.error).map(r => r.error) : [],
+                    retryable = errors.filter(e => policy.types.indexOf(e.type) >= 0);
+
+                if(retryable.length > 0) {
+                    throw HueApiError.create(retryable[0], data.filter(r => r && 'success' in r).map(r => r.success), errors);
+                }
+                return data;
+            });
+    }, signal, timeout);
+
+    /**
+     * Performs fetch request.
+     *
+     * Supported request options:
+     *
+     * - signal: AbortSignal to cancel the request
+     * - timeout: timeout for each attempt in milliseconds, or 0 for none
+     *   (default from settings)
+     * - retry: retry options, true for default retry options, or false for no
+     *   retries (default from settings)
+     * - headers: request headers object (optional)
+     * - text: if true, the response is read as text instead of JSON, and
+     *   rejected with a HueHttpError if the HTTP status is not 2xx (optional)
+     *
+     * @method _requestJson
+     * @private
+     * @param {Object} settings request settings
+     * @param {String} method GET, PUT, POST, or DELETE
+     * @param {String} url request URL
+     * @param {Object} data request data object to serialize for request JSON
+     * @param {Object} options request options (optional)
+     * @return {Promise} promise resolving to response data object
+     */
+    var _requestJson = (settings, method, url, data, options = {}) => {
+        var timeout = 'timeout' in options ? options.timeout : settings.timeout,
+            policy = _retryPolicy('retry' in options ? options.retry : settings.retry);
+
+        if(policy && policy.methods.indexOf(method) < 0) {
+            policy = null;
+        }
+
+        var attempts = policy ? policy.attempts : 1,
+            read = response => options.text ? _readText(url, response) : _readJson(settings, url, response);
+
+        var run = (init, attempt) => _attempt(read, policy, attempt >= attempts, url, init, options.signal, timeout)
+            .catch(error => {
+                if(attempt >= attempts || !_isRetryable(policy, error)) {
+                    throw error;
+                }
+                return _abortable(() => new Promise(resolve => setTimeout(resolve, _retryDelay(policy, attempt))), options.signal, 0)
+                    .then(() => run(init, attempt + 1));
+            });
+
+        return (new Promise(resolve => {
+            if(data !== null) {
+                data = JSON.stringify(data);
+            }
+            resolve(data);
+         }))
+         .then(data => {
+             var init = {method: method, body: data};
+
+             if(options.headers) {
+                 init.headers = options.headers;
+             }
+             if(settings.agent) {
+                 init.agent = settings.agent;
+             }
+             return run(init, 1);
+         });
+    };
+
+    /**
+     * Passes a request through a middleware chain.
+     *
+     * Each middleware function is called with the request (method, url, data,
+     * and options) and a next function. Calling next passes the request, or a
+     * replacement request given as parameter, on to the rest of the chain and
+     * returns a promise resolving to the response data object. The middleware
+     * resolves to the response data object for the request, which it may take
+     * from next, modify, or produce itself without calling next.
+     *
+     * @method _dispatch
+     * @private
+     * @param {Array} middleware middleware functions
+     * @param {Object} request request
+     * @param {Function} handler function performing the request at the end of the chain
+     * @return {Promise} promise resolving to response data object
+     */
+    var _dispatch = (middleware, request, handler) => {
+        var step = (i, request) => i < middleware.length
+            ? Promise.resolve().then(() => middleware[i](request, (next = request) => step(i + 1, next)))
+            : handler(request);
+
+        return step(0, request);
+    };
+
+    /**
+     * Middleware functions of this instance.
+     *
+     * @property _middleware
+     * @private
+     * @type Array
+     */
+    var _middleware = [];
+
+    /**
+     * Creates request functions using the given settings.
+     *
+     * @method _requester
+     * @private
+     * @param {Object} settings request settings
+     * @param {Function} middleware function returning the middleware chain
+     * @return {Object} request functions (_get, _put, _post, and _delete)
+     */
+    var _requester = (settings, middleware) => {
+        /**
+         * Performs fetch request with JSON through the middleware chain.
+         *
+         * @method _request
+         * @private
+         * @param {String} method GET, PUT, POST, or DELETE
+         * @param {String} url request URL
+         * @param {Object} data request data object
+         * @param {Object} options request options (optional)
+         * @return {Promise} promise resolving to response data object
+         */
+        var _request = (method, url, data, options = {}) =>
+            _dispatch(middleware(), {method, url, data, options},
+                request => _requestJson(settings, request.method, request.url, request.data, request.options));
+
+        /**
+         * Performs fetch request with JSON (no body).
+         *
+         * @method _requestUrl
+         * @private
+         * @param {String} method GET, PUT, POST, or DELETE
+         * @param {String} url request URL
+         * @param {Object} options request options (optional)
+         * @return {Promise} promise resolving to response data object
+         */
+        var _requestUrl = (method, url, options) => _request(method, url, null, options);
+
+        return {
+            /**
+             * Performs fetch GET.
+             *
+             * @method _get
+             * @private
+             * @param {String} url request URL
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            _get: _requestUrl.bind(null, 'GET'),
+
+            /**
+             * Performs fetch PUT.
+             *
+             * @method _put
+             * @private
+             * @param {String} url request URL
+             * @param {Object} data request data object
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            _put: _request.bind(null, 'PUT'),
+
+            /**
+             * Performs fetch POST.
+             *
+             * @method _post
+             * @private
+             * @param {String} url request URL
+             * @param {Object} data request data object
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            _post: _request.bind(null, 'POST'),
+
+            /**
+             * Performs fetch DELETE.
+             *
+             * @method _delete
+             * @private
+             * @param {String} url request URL
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            _delete: _requestUrl.bind(null, 'DELETE')
+        };
+    };
+
+    // the agent is meant for bridges, not for the portal and discovery probes
+    var {_get, _put, _post, _delete} = _requester(Object.assign({}, _options, { agent: null }), () => _middleware);
+
+    /**
+     * Creates a parametrized fetch request function.
+     *
+     * The given request URL generator function should generate a request URL from
+     * a single input parameter. For example:
+     *
+     * (id) => { return `http://path/to/resource/${id}`; }
+     *
+     * The returned parametrized request function takes this same input parameter
+     * plus the remaining parameters of the given request function. For example, a
+     * parametrized _get or _delete will have the following signature:
+     *
+     * (id)
+     *
+     * A parametrized _put or _post will have the following signature:
+     *
+     * (id, data)
+     *
+     * These functions will make appropriate requests to the URLs generated from the
+     * first input parameter.
+     *
+     * @method _parametrize
+     * @private
+     * @param {Function} method request function (_get, _put, _post, or _delete)
+     * @param {Function} url request URL generator function
+     * @return {Function} parametrized request function
+     */
+    var _parametrize = (method, url) => (p, ...rest) => method(url(p), ...rest);
+
+    /**
+     * Creates an echo.
+     *
+     * The returned function acts as a middleware which just echoes back the
+     * request without performing it. This is used for schedule command and rule
+     * action generation.
+     *
+     * @method _echo
+     * @private
+     * @param {String} prefix path prefix to strip out after the origin
+     * @return {Function} echo middleware
+     */
+    var _echo = prefix => request => ({
+        address: request.url.replace(/^\w+:\/\/[^/]+/, '').slice(prefix.length),
+        method: request.method,
+        body: JSON.parse(JSON.stringify(request.data))
+    });
+
+    /**
+     * Creates a user object whose requests are echoed.
+     *
+     * @method _echoUser
+     * @private
+     * @param {String} prefix path prefix to strip out
+     * @param {String} ip ip address or hostname of bridge
+     * @param {String} username username
+     * @return {Object} user object
+     */
+    var _echoUser = (prefix, ip, username) => {
+        var api = jsHueAPI(fetch, Response, JSON, Promise);
+        api.use(_echo(prefix));
+        return api.bridge(ip).user(username);
+    };
+
+    /**
+     * Creates a request scheduler.
+     *
+     * The scheduler queues state writes and sends them no faster than the
+     * configured rates, with separate budgets for light and group commands.
+     * A queued write to the same light or group as a newer write is merged
+     * into it (later values win), so superseded states are never sent. Each
+     * caller of a merged write can abort its part with its own signal; the
+     * write is only sent while at least one caller is still waiting for it.
+     *
+     * Supported options:
+     *
+     * - lightRate: maximum light commands per second (default 10)
+     * - groupRate: maximum group commands per second (default 1)
+     * - maxDepth: maximum queued commands per budget; further commands are
+     *   dropped and rejected with a HueQueueFullError (default Infinity)
+     *
+     * @method _scheduler
+     * @private
+     * @param {Object} options scheduler options
+     * @return {Object} scheduler
+     */
+    var _scheduler = options => {
+        var _settings = Object.assign({
+            lightRate: 10,
+            groupRate: 1,
+            maxDepth: Infinity
+        }, options);
+
+        var _intervals = { light: 1000 / _settings.lightRate, group: 1000 / _settings.groupRate },
+            _queues = { light: [], group: [] },
+            _timers = { light: null, group: null },
+            _last = { light: -Infinity, group: -Infinity },
+            _stats = { sent: 0, coalesced: 0, dropped: 0 };
+
+        var _drain = kind => {
+            var queue = _queues[kind],
+                wait = _last[kind] + _intervals[kind] - Date.now();
+
+            _timers[kind] = null;
+
+            if(queue.length === 0) {
+                return;
+            }
+            if(wait > 0) {
+                _timers[kind] = setTimeout(() => _drain(kind), wait);
+                return;
+            }
+
+            var entry = queue.shift(),
+                data = Object.assign({}, ...entry.waiting.map(w => w.data));
+
+            _last[kind] = Date.now();
+            _stats.sent++;
+
+            entry.waiting[entry.waiting.length - 1].send(data).then(
+                result => entry.waiting.forEach(w => w.resolve(result)),
+                error => entry.waiting.forEach(w => w.reject(error))
+            );
+
+            _drain(kind);
+        };
+
+        return {
+            /**
+             * Queues a state write.
+             *
+             * @method enqueue
+             * @param {String} kind light or group
+             * @param {String} key light or group ID
+             * @param {Object} data state data
+             * @param {Function} send function sending state data
+             * @param {Object} signal AbortSignal rejecting this write (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            enqueue: (kind, key, data, send, signal) => new Promise((resolve, reject) => {
+                var queue = _queues[kind],
+                    pending = queue.find(e => e.key === String(key)),
+                    settle = fn => value => {
+                        if(signal) {
+                            signal.removeEventListener('abort', abort);
+                        }
+                        fn(value);
+                    },
+                    waiter = { data, send, resolve: settle(resolve), reject: settle(reject) };
+
+                // drops the write of this caller, and the queued write if nobody waits for it
+                var abort = () => {
+                    var entry = queue.find(e => e.waiting.indexOf(waiter) !== -1);
+
+                    if(entry) {
+                        entry.waiting = entry.waiting.filter(w => w !== waiter);
+                        if(entry.waiting.length === 0) {
+                            queue.splice(queue.indexOf(entry), 1);
+                        }
+                    }
+                    waiter.reject(new HueAbortError());
+                };
+
+                if(signal && signal.aborted) {
+                    throw new HueAbortError();
+                }
+                if(pending) {
+                    pending.waiting.push(waiter);
+                    _stats.coalesced++;
+                }
+                else if(queue.length >= _settings.maxDepth) {
+                    _stats.dropped++;
+                    throw new HueQueueFullError(queue.length);
+                }
+                else {
+                    queue.push({ key: String(key), waiting: [waiter] });
+                }
+                if(signal) {
+                    signal.addEventListener('abort', abort);
+                }
+                if(!_timers[kind]) {
+                    _drain(kind);
+                }
+            }),
+            /**
+             * Gets queue statistics.
+             *
+             * @method stats
+             * @return {Object} queue depths and sent, coalesced, and dropped counts
+             */
+            stats: () => ({
+                depth: _queues.light.length + _queues.group.length,
+                lights: _queues.light.length,
+                groups: _queues.group.length,
+                sent: _stats.sent,
+                coalesced: _stats.coalesced,
+                dropped: _stats.dropped
+            })
+        };
+    };
+
+    /**
+     * Creates an event emitter.
+     *
+     * @method _emitter
+     * @private
+     * @return {Object} emitter (on, off, and emit)
+     */
+    var _emitter = () => {
+        var _listeners = {};
+
+        return {
+            /**
+             * Adds an event listener.
+             *
+             * @method on
+             * @param {String} event event name
+             * @param {Function} fn listener
+             */
+            on: (event, fn) => {
+                (_listeners[event] = _listeners[event] || []).push(fn);
+            },
+            /**
+             * Removes an event listener.
+             *
+             * @method off
+             * @param {String} event event name
+             * @param {Function} fn listener
+             */
+            off: (event, fn) => {
+                _listeners[event] = (_listeners[event] || []).filter(f => f !== fn);
+            },
+            /**
+             * Calls the listeners of an event.
+             *
+             * @method emit
+             * @param {String} event event name
+             * @param {...Object} args listener arguments
+             */
+            emit: (event, ...args) => {
+                (_listeners[event] || []).slice().forEach(fn => fn(...args));
+            }
+        };
+    };
+
+    /**
+     * Creates an async iterator over the events of an emitter.
+     *
+     * The iterator yields the arguments of the given event until the emitter
+     * emits a close event. Returning from the iterator (e.g. breaking out of a
+     * for await loop) calls the given close function.
+     *
+     * @method _iterate
+     * @private
+     * @param {Object} emitter emitter
+     * @param {String} event event name
+     * @param {Function} close close function
+     * @return {Object} async iterator
+     */
+    var _iterate = (emitter, event, close) => {
+        var buffer = [],
+            waiting = [],
+            done = false;
+
+        var push = value => {
+            if(waiting.length > 0) {
+                waiting.shift()({ value, done: false });
+            }
+            else {
+                buffer.push(value);
+            }
+        };
+
+        var finish = () => {
+            done = true;
+            emitter.off(event, push);
+            emitter.off('close', finish);
+            waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+        };
+
+        emitter.on(event, push);
+        emitter.on('close', finish);
+
+        return {
+            next: () => {
+                if(buffer.length > 0) {
+                    return Promise.resolve({ value: buffer.shift(), done: false });
+                }
+                if(done) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => waiting.push(resolve));
+            },
+            return: () => {
+                finish();
+                close();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    };
+
+    /**
+     * Parses server-sent events from text lines.
+     *
+     * The returned function takes a chunk of text and calls the given function
+     * with each complete event (id, event, data, and retry fields).
+     *
+     * @method _sseParser
+     * @private
+     * @param {Function} fn event function
+     * @return {Function} parser
+     */
+    var _sseParser = fn => {
+        var text = '',
+            event = { data: [] };
+
+        var line = l => {
+            if(l === '') {
+                if(event.data.length > 0) {
+                    fn(Object.assign({}, event, { data: event.data.join('\n') }));
+                }
+                event = { data: [] };
+                return;
+            }
+            if(l[0] === ':') {
+                return;
+            }
+
+            var i = l.indexOf(':'),
+                field = i < 0 ? l : l.slice(0, i),
+                value = i < 0 ? '' : l.slice(i + 1).replace(/^ /, '');
+
+            if(field === 'data') {
+                event.data.push(value);
+            }
+            else if(field === 'id' || field === 'event') {
+                event[field] = value;
+            }
+            else if(field === 'retry' && /^\d+$/.test(value)) {
+                event.retry = Number(value);
+            }
+        };
+
+        return chunk => {
+            var lines = (text + chunk).split(/\r\n|\r|\n/);
+            text = lines.pop();
+            lines.forEach(line);
+        };
+    };
+
+    /**
+     * Subscribes to a CLIP API v2 event stream.
+     *
+     * See jsHueV2.events.
+     *
+     * The URL function is called before each connection with the error of the
+     * previous connection, if it failed.
+     *
+     * @method _eventStream
+     * @private
+     * @param {Function} url function returning a promise resolving to the
+     *     event stream URL
+     * @param {Object} headers request headers
+     * @param {Object} options subscription options
+     * @return {Object} subscription
+     */
+    var _eventStream = (url, headers, options = {}) => {
+        var _settings = Object.assign({
+            types: null,
+            ids: null,
+            reconnectDelay: 1000,
+            maxReconnectDelay: 30000
+        }, options);
+
+        var emitter = _emitter(),
+            lastEventId = null,
+            delay = _settings.reconnectDelay,
+            failure = null,
+            controller = null,
+            timer = null,
+            closed = false;
+
+        var matches = resource =>
+            (!_settings.types || _settings.types.indexOf(resource.type) >= 0)
+            && (!_settings.ids || _settings.ids.indexOf(resource.id) >= 0);
+
+        var dispatch = sse => {
+            if(sse.id) {
+                lastEventId = sse.id;
+            }
+            if(sse.retry) {
+                delay = _settings.reconnectDelay = sse.retry;
+            }
+
+            var containers;
+
+            try {
+                containers = JSON.parse(sse.data);
+            }
+            catch(e) {
+                emitter.emit('error', e);
+                return;
+            }
+
+            (Array.isArray(containers) ? containers : [containers]).forEach(container => {
+                (container.data || []).filter(matches).forEach(resource => {
+                    var event = {
+                        type: container.type,
+                        id: container.id,
+                        creationtime: container.creationtime,
+                        resource
+                    };
+
+                    emitter.emit(container.type, event);
+                    emitter.emit('event', event);
+                });
+            });
+        };
+
+        var reconnect = () => {
+            if(closed) {
+                return;
+            }
+            timer = setTimeout(connect, delay);
+            delay = Math.min(delay * 2, _settings.maxReconnectDelay);
+        };
+
+        var connect = () => {
+            var init = {
+                method: 'GET',
+                headers: Object.assign({ Accept: 'text/event-stream' }, headers)
+            };
+
+            if(lastEventId !== null) {
+                init.headers['Last-Event-ID'] = lastEventId;
+            }
+            if(_settings.agent) {
+                init.agent = _settings.agent;
+            }
+            if(typeof AbortController !== 'undefined') {
+                controller = new AbortController();
+                init.signal = controller.signal;
+            }
+
+            var target = null;
+
+            Promise.resolve(failure)
+                .then(url)
+                .then(resolved => fetch(target = resolved, init))
+                .then(response => {
+                    if(!response.ok) {
+                        throw new HueHttpError(target, response);
+                    }
+
+                    // WHATWG streams have readers, Node streams (e.g. of node-fetch) are async iterable
+                    var body = response.body,
+                        chunks = body.getReader ? body.getReader() : body[Symbol.asyncIterator](),
+                        decoder = new TextDecoder(),
+                        parse = _sseParser(dispatch);
+
+                    delay = _settings.reconnectDelay;
+                    failure = null;
+                    emitter.emit('open');
+
+                    var read = () => (chunks.read ? chunks.read() : chunks.next()).then(({ done, value }) => {
+                        if(done || closed) {
+                            return;
+                        }
+                        parse(typeof value === 'string' ? value : decoder.decode(value, { stream: true }));
+                        return read();
+                    });
+
+                    return read();
+                })
+                .then(reconnect, error => {
+                    failure = error;
+                    if(!closed) {
+                        emitter.emit('error', error);
+                        reconnect();
+                    }
+                });
+        };
+
+        var close = () => {
+            if(closed) {
+                return;
+            }
+            closed = true;
+            clearTimeout(timer);
+            if(controller) {
+                controller.abort();
+            }
+            emitter.emit('close');
+        };
+
+        connect();
+
+        return {
+            on: emitter.on,
+            off: emitter.off,
+            close,
+            [Symbol.asyncIterator]: () => _iterate(emitter, 'event', close)
+        };
+    };
+
+    /**
+     * Computes the differences between two values.
+     *
+     * Objects and arrays are compared recursively. Each difference is reported
+     * with the path to the changed value and the previous and current values
+     * (undefined where a property was added or removed).
+     *
+     * @method _diff
+     * @private
+     * @param {Object} previous previous value
+     * @param {Object} current current value
+     * @param {Array} path path to values (optional)
+     * @return {Array} differences (path, previous, and current)
+     */
+    var _diff = (previous, current, path = []) => {
+        var isObject = v => v !== null && typeof v === 'object';
+
+        if(isObject(previous) && isObject(current) && Array.isArray(previous) === Array.isArray(current)) {
+            var keys = Object.keys(previous).concat(Object.keys(current).filter(k => !(k in previous)));
+            return keys.reduce((diffs, k) => diffs.concat(_diff(previous[k], current[k], path.concat(k))), []);
+        }
+        return previous === current ? [] : [{ path, previous, current }];
+    };
+
+    /**
+     * Resource kinds by collection name, as used in watcher event names.
+     *
+     * @property _watchKinds
+     * @private
+     * @type Object
+     */
+    var _watchKinds = {
+        lights: 'light',
+        groups: 'group',
+        sensors: 'sensor',
+        scenes: 'scene',
+        schedules: 'schedule',
+        rules: 'rule',
+        resourcelinks: 'resourcelink'
+    };
+
+    /**
+     * Creates a polling watcher.
+     *
+     * See jsHueUser.watch.
+     *
+     * @method _watcher
+     * @private
+     * @param {Function} poll function resolving to a snapshot of resource collections
+     * @param {Number} interval polling interval in milliseconds
+     * @return {Object} watcher
+     */
+    var _watcher = (poll, interval) => {
+        var emitter = _emitter(),
+            snapshot = null,
+            timer = null,
+            stopped = false;
+
+        var compare = (collection, previous, current) => {
+            var kind = _watchKinds[collection];
+
+            Object.keys(previous).filter(id => !(id in current)).forEach(id =>
+                emitter.emit('resource:removed', { kind, id, resource: previous[id] }));
+
+            Object.keys(current).forEach(id => {
+                if(!(id in previous)) {
+                    emitter.emit('resource:added', { kind, id, resource: current[id] });
+                    return;
+                }
+
+                var changes = _diff(previous[id], current[id]);
+
+                if(changes.length === 0) {
+                    return;
+                }
+
+                var event = (name, filter) => {
+                    var filtered = changes.filter(filter);
+
+                    if(filtered.length > 0) {
+                        emitter.emit(name, { kind, id, previous: previous[id], current: current[id], changes: filtered });
+                    }
+                };
+
+                var changed = (...path) => c => path.every((p, i) => c.path[i] === p);
+
+                emitter.emit('change', { kind, id, previous: previous[id], current: current[id], changes });
+
+                if(kind === 'light') {
+                    event('light:state', changed('state'));
+                }
+                else if(kind === 'sensor') {
+                    event('sensor:state', changed('state'));
+                    event('sensor:presence', changed('state', 'presence'));
+                    // repeated presses of the same button only change lastupdated
+                    if(current[id].state && 'buttonevent' in current[id].state) {
+                        event('sensor:buttonevent', c => changed('state', 'buttonevent')(c) || changed('state', 'lastupdated')(c));
+                    }
+                }
+                else if(kind === 'group') {
+                    event('group:action', changed('action'));
+                    event('group:any_on', changed('state', 'any_on'));
+                    event('group:all_on', changed('state', 'all_on'));
+                }
+            });
+        };
+
+        var tick = () => {
+            poll()
+                .then(current => {
+                    if(stopped) {
+                        return;
+                    }
+                    if(snapshot) {
+                        Object.keys(current).filter(c => c in _watchKinds).forEach(c =>
+                            compare(c, snapshot[c] || {}, current[c] || {}));
+                    }
+                    snapshot = current;
+                    emitter.emit('poll', current);
+                })
+                .catch(error => emitter.emit('error', error))
+                .then(() => {
+                    if(!stopped) {
+                        timer = setTimeout(tick, interval);
+                    }
+                });
+        };
+
+        tick();
+
+        return {
+            on: emitter.on,
+            off: emitter.off,
+            /**
+             * Stops polling.
+             *
+             * @method stop
+             */
+            stop: () => {
+                stopped = true;
+                clearTimeout(timer);
+            }
+        };
+    };
+
+    /**
+     * Checks whether a state object has attributes translated by _translateState.
+     *
+     * @method _isTranslated
+     * @private
+     * @param {Object} data state object
+     * @return {Boolean} true if the state object needs translation
+     */
+    var _isTranslated = data => !!data && ['rgb', 'hex', 'kelvin'].some(k => k in data);
+
+    /**
+     * Translates the color attributes of a state object for a light.
+     *
+     * The rgb or hex color is translated to xy, clamped to the gamut of the
+     * light. The kelvin color temperature is translated to ct, clamped to the
+     * color temperature range of the light, or left out if the light has no
+     * color temperature. If the light or its capabilities are unknown, xy is
+     * not clamped and ct is clamped to the range of Hue lights.
+     *
+     * @method _translateState
+     * @private
+     * @param {Object} data state object
+     * @param {Object} light light data (optional)
+     * @return {Object} translated state object
+     */
+    var _translateState = (data, light) => {
+        var translated = Object.assign({}, data);
+
+        if('rgb' in data || 'hex' in data) {
+            translated.xy = hueColor.toXy('hex' in data ? data.hex : data.rgb, hueColor.gamut(light));
+        }
+        if('kelvin' in data) {
+            var range = light && light.capabilities ? hueColor.lightCtRange(light) : hueColor.ctRange;
+
+            if(range) {
+                translated.ct = hueColor.kelvinToMired(data.kelvin, range);
+            }
+        }
+
+        ['rgb', 'hex', 'kelvin'].forEach(k => delete translated[k]);
+        return translated;
+    };
+
+    /**
+     * Updates cached values from the success responses of a request.
+     *
+     * @method _applySuccesses
+     * @private
+     * @param {Object} target cached object
+     * @param {String} prefix address prefix of the cached object, e.g. /lights/1/state/
+     * @param {Array} data response data
+     */
+    var _applySuccesses = (target, prefix, data) => {
+        if(Array.isArray(data)) {
+            data.filter(r => r && r.success).forEach(r => Object.keys(r.success)
+                .filter(address => address.indexOf(prefix) === 0)
+                .forEach(address => target[address.slice(prefix.length)] = r.success[address]));
+        }
+    };
+
+    /**
+     * Creates light object.
+     *
+     * See jsHueUser.light.
+     *
+     * @method _light
+     * @private
+     * @param {Object} user user object
+     * @param {String} id light ID
+     * @return {Object} light object
+     */
+    var _light = (user, id) => {
+        var _data = null,
+            _pending = {};
+
+        var change = state => {
+            Object.assign(_pending, state);
+            return light;
+        };
+
+        /**
+         * @class jsHueLight
+         */
+        var light = {
+            /**
+             * Light ID.
+             *
+             * @property id
+             * @type String
+             */
+            id,
+            /**
+             * Refreshes the cached light attributes and state.
+             *
+             * @method refresh
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to this light object
+             */
+            refresh: options => user.getLight(id, options).then(_checkErrors).then(data => {
+                _data = data;
+                return light;
+            }),
+            /**
+             * Gets the cached light attributes and state.
+             *
+             * @method getData
+             * @return {Object} light data, or null if not refreshed yet
+             */
+            getData: () => _data,
+            /**
+             * Gets the cached light state.
+             *
+             * @method getState
+             * @return {Object} light state, or null if not refreshed yet
+             */
+            getState: () => _data ? _data.state : null,
+            /**
+             * Gets the cached light capabilities (control, streaming, etc.).
+             *
+             * @method getCapabilities
+             * @return {Object} light capabilities, or null if not refreshed yet
+             */
+            getCapabilities: () => _data && _data.capabilities || null,
+            /**
+             * Checks whether the light supports a feature, according to the
+             * cached light state.
+             *
+             * @method supports
+             * @param {String} feature brightness, color, or ct
+             * @return {Boolean} true if supported, false if not or not refreshed yet
+             */
+            supports: feature => {
+                var state = light.getState(),
+                    keys = { brightness: 'bri', color: 'xy', ct: 'ct' };
+
+                return !!state && feature in keys && keys[feature] in state;
+            },
+            /**
+             * Turns the light on on commit.
+             *
+             * @method on
+             * @return {Object} this light object
+             */
+            on: () => change({ on: true }),
+            /**
+             * Turns the light off on commit.
+             *
+             * @method off
+             * @return {Object} this light object
+             */
+            off: () => change({ on: false }),
+            /**
+             * Sets the brightness on commit.
+             *
+             * @method brightness
+             * @param {Number} percent brightness percentage (0 to 100)
+             * @return {Object} this light object
+             */
+            brightness: percent => change({ bri: Math.max(1, Math.min(254, Math.round(percent * 2.54))) }),
+            /**
+             * Sets the color on commit.
+             *
+             * The color is clamped to the gamut of the light if it is cached.
+             *
+             * @method color
+             * @param {Object} value color, e.g. hex color (see hueColor)
+             * @return {Object} this light object
+             */
+            color: value => change({ xy: hueColor.toXy(value, hueColor.gamut(_data)) }),
+            /**
+             * Sets the color temperature on commit.
+             *
+             * @method ct
+             * @param {Number} mired color temperature in mired
+             * @return {Object} this light object
+             */
+            ct: mired => change({ ct: Math.round(mired) }),
+            /**
+             * Sets the color temperature in Kelvin on commit.
+             *
+             * The color temperature is clamped to the range of the light if it
+             * is cached.
+             *
+             * @method kelvin
+             * @param {Number} kelvin color temperature in Kelvin
+             * @return {Object} this light object
+             */
+            kelvin: kelvin => change({ ct: hueColor.kelvinToMired(kelvin, hueColor.lightCtRange(_data) || hueColor.ctRange) }),
+            /**
+             * Sets the transition time of the committed changes.
+             *
+             * @method transition
+             * @param {Number} ms transition time in milliseconds
+             * @return {Object} this light object
+             */
+            transition: ms => change({ transitiontime: Math.round(ms / 100) }),
+            /**
+             * Sets state attributes on commit.
+             *
+             * @method set
+             * @param {Object} state light state attributes
+             * @return {Object} this light object
+             */
+            set: state => change(state),
+            /**
+             * Sends the pending changes in a single light state request.
+             *
+             * Changes to values equal to the cached state are left out. If no
+             * changes are left, no request is made and the promise resolves to
+             * an empty array. The cached state is updated from the success
+             * responses.
+             *
+             * @method commit
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            commit: options => {
+                var state = _pending,
+                    current = light.getState();
+
+                _pending = {};
+                if(current) {
+                    Object.keys(state)
+                        .filter(k => k !== 'transitiontime' && _diff(current[k], state[k]).length === 0)
+                        .forEach(k => delete state[k]);
+                }
+                if(Object.keys(state).every(k => k === 'transitiontime')) {
+                    return Promise.resolve([]);
+                }
+
+                return user.setLightState(id, state, options).then(data => {
+                    if(_data) {
+                        _applySuccesses(_data.state, `/lights/${id}/state/`, data);
+                    }
+                    return data;
+                });
+            }
+        };
+
+        return light;
+    };
+
+    /**
+     * Room classes supported by the bridge.
+     *
+     * @property _roomClasses
+     * @private
+     * @type Array
+     */
+    var _roomClasses = [
+        'Living room', 'Kitchen', 'Dining', 'Bedroom', 'Kids bedroom', 'Bathroom',
+        'Nursery', 'Recreation', 'Office', 'Gym', 'Hallway', 'Toilet', 'Front door',
+        'Garage', 'Terrace', 'Garden', 'Driveway', 'Carport', 'Other', 'Home',
+        'Downstairs', 'Upstairs', 'Top floor', 'Attic', 'Guest room', 'Staircase',
+        'Lounge', 'Man cave', 'Computer', 'Studio', 'Music', 'TV', 'Reading', 'Closet',
+        'Storage', 'Laundry room', 'Balcony', 'Porch', 'Barbecue', 'Pool'
+    ];
+
+    /**
+     * Creates group object.
+     *
+     * See jsHueUser.group.
+     *
+     * @method _group
+     * @private
+     * @param {Object} user user object
+     * @param {String} id group ID
+     * @param {Object} data group data to cache (optional)
+     * @return {Object} group object
+     */
+    var _group = (user, id, data = null) => {
+        var _data = data,
+            _special = String(id) === '0';
+
+        var unmodifiable = () => Promise.reject(new HueError('Group 0 (all lights) cannot be modified'));
+
+        var modify = (attributes, options) => _special ? unmodifiable() : user.setGroup(id, attributes, options).then(data => {
+            if(_data) {
+                _applySuccesses(_data, `/groups/${id}/`, data);
+            }
+            return data;
+        });
+
+        var membership = (fn, ids, options) => _special ? unmodifiable()
+            : (_data ? Promise.resolve(group) : group.refresh(options)).then(() =>
+                modify({ lights: fn(_data.lights || [], [].concat(ids).map(String)) }, options));
+
+        /**
+         * @class jsHueGroup
+         */
+        var group = {
+            /**
+             * Group ID.
+             *
+             * @property id
+             * @type String
+             */
+            id,
+            /**
+             * Refreshes the cached group attributes and state.
+             *
+             * @method refresh
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to this group object
+             */
+            refresh: options => user.getGroup(id, options).then(_checkErrors).then(data => {
+                _data = data;
+                return group;
+            }),
+            /**
+             * Gets the cached group attributes and state.
+             *
+             * @method getData
+             * @return {Object} group data, or null if not refreshed yet
+             */
+            getData: () => _data,
+            /**
+             * Gets the cached group name.
+             *
+             * @method getName
+             * @return {String} name, or null if not refreshed yet
+             */
+            getName: () => _data ? _data.name : null,
+            /**
+             * Gets the cached light IDs of the group.
+             *
+             * @method getLights
+             * @return {Array} light IDs, or null if not refreshed yet
+             */
+            getLights: () => _data ? _data.lights : null,
+            /**
+             * Gets the cached group type (LightGroup, Room, Zone, etc.).
+             *
+             * @method getType
+             * @return {String} type, or null if not refreshed yet
+             */
+            getType: () => _data ? _data.type : null,
+            /**
+             * Gets the cached room or zone class.
+             *
+             * @method getClass
+             * @return {String} class, or null if none or not refreshed yet
+             */
+            getClass: () => _data && _data.class || null,
+            /**
+             * Checks whether any light of the group is on, according to the
+             * cached state.
+             *
+             * @method isAnyOn
+             * @return {Boolean} true if any light is on
+             */
+            isAnyOn: () => !!(_data && _data.state && _data.state.any_on),
+            /**
+             * Checks whether all lights of the group are on, according to the
+             * cached state.
+             *
+             * @method isAllOn
+             * @return {Boolean} true if all lights are on
+             */
+            isAllOn: () => !!(_data && _data.state && _data.state.all_on),
+            /**
+             * Adds lights to the group.
+             *
+             * The group is refreshed first if not cached. Group 0 cannot be
+             * modified.
+             *
+             * @method addLights
+             * @param {Array} ids light ID or IDs
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            addLights: (ids, options) => membership((lights, ids) =>
+                lights.concat(ids.filter(id => lights.indexOf(id) < 0)), ids, options),
+            /**
+             * Removes lights from the group.
+             *
+             * The group is refreshed first if not cached. Group 0 cannot be
+             * modified.
+             *
+             * @method removeLights
+             * @param {Array} ids light ID or IDs
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            removeLights: (ids, options) => membership((lights, ids) =>
+                lights.filter(id => ids.indexOf(id) < 0), ids, options),
+            /**
+             * Sets the room or zone class.
+             *
+             * Rejects with a HueError if the class is not a supported room
+             * class. Group 0 cannot be modified.
+             *
+             * @method setClass
+             * @param {String} roomClass room class, e.g. Living room
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            setClass: (roomClass, options) => _roomClasses.indexOf(roomClass) < 0
+                ? Promise.reject(new HueError(`Invalid room class: ${roomClass}`))
+                : modify({ class: roomClass }, options),
+            /**
+             * Sets the state of all lights in the group.
+             *
+             * The cached group action is updated from the success responses.
+             *
+             * @method setState
+             * @param {Object} state group action attributes
+             * @param {Object} options request options (optional)
+             * @return {Promise} promise resolving to response data object
+             */
+            setState: (state, options) => user.setGroupState(id, state, options).then(data => {
+                if(_data && _data.action) {
+                    _applySuccesses(_data.action, `/groups/${id}/action/`, data);
+                }
+                return data;
+            })
+        };
+
+        return group;
+    };
+
+    /**
+     * Gets the state attributes needed to restore a light state.
+     *
+     * The brightness and color are restored for lights that are off as well,
+     * in the same write that turns them off, so that they come back on with
+     * their previous color. Lights that are still off reject them, see
+     * _restoreLight.
+     *
+     * @method _restorableState
+     * @private
+     * @param {Object} state light state
+     * @return {Object} state data
+     */
+    var _restorableState = state => {
+        var keys = { xy: ['xy'], hs: ['hue', 'sat'], ct: ['ct'] }[state.colormode] || [];
+
+        return ['on', 'bri'].concat(keys)
+            .filter(k => k in state)
+            .reduce((data, k) => Object.assign(data, { [k]: state[k] }), {});
+    };
+
+    /**
+     * Writes a restorable light state.
+     *
+     * A light that is still off rejects the brightness and color with error
+     * 201 (device is off). These errors are expected for lights that were off
+     * and are dropped from the response data.
+     *
+     * @method _restoreLight
+     * @private
+     * @param {Function} write function writing the state data
+     * @param {Object} state restorable state data
+     * @return {Promise} promise resolving to response data object
+     */
+    var _restoreLight = (write, state) => {
+        var expected = error => state.on === false && error.type === 201 && !/\/on$/.test(error.address || '');
+
+        return write(state).then(
+            data => Array.isArray(data) ? data.filter(r => !(r && r.error && expected(r.error))) : data,
+            error => {
+                if(error instanceof HueApiError && error.errors.every(expected)) {
+                    return error.successes.map(success => ({ success }));
+                }
+                throw error;
+            }
+        );
+    };
+
     /**
-     * Performs fetch request.
+     * Plays an animation.
      *
-     * @method _requestJson
+     * See jsHueUser.animate.
+     *
+     * @method _animation
      * @private
-     * @param {String} method GET, PUT, POST, or DELETE
-     * @param {String} url request URL
-     * @param {Object} data request data object to serialize for request JSON
-     * @return {Promise} promise resolving to response data object
+     * @param {Object} user user object
+     * @param {Object} queue scheduler for state writes, or null to write directly
+     * @param {Object} timeline timeline (lights, groups, and keyframes)
+     * @param {Object} options animation options (loop and restore)
+     * @return {Promise} animation
      */
-    var _requestJson = (method, url, data) =>
-        (new Promise(resolve => {
-            if(data !== null) {
-                data = JSON.stringify(data);
+    var _animation = (user, queue, timeline, options) => {
+        var emitter = _emitter(),
+            keyframes = timeline.keyframes || [],
+            lights = (timeline.lights || []).map(String),
+            groups = (timeline.groups || []).map(String),
+            iterations = options.loop === true ? Infinity : options.loop || 1,
+            status = 'running',
+            loops = 0,
+            timer = null,
+            wake = null,
+            remaining = 0,
+            started = 0;
+
+        var send = (kind, id, data) => {
+            var method = kind === 'light' ? user.setLightState : user.setGroupState;
+
+            return queue ? queue.enqueue(kind, id, data, data => method(id, data)) : method(id, data);
+        };
+
+        var proceed = () => {
+            var resolve = wake;
+
+            wake = null;
+            resolve();
+        };
+
+        var schedule = () => {
+            started = Date.now();
+            timer = setTimeout(() => {
+                timer = null;
+                proceed();
+            }, remaining);
+        };
+
+        // waits between keyframes, honoring pause and cancel
+        var wait = ms => status === 'cancelled' ? Promise.resolve() : new Promise(resolve => {
+            wake = resolve;
+            remaining = ms;
+            if(status === 'running') {
+                schedule();
             }
-            resolve(data);
-         }))
-         .then(data => fetch(url, {method: method, body: data}))
-         .then(response => response.json());
+        });
+
+        var snapshot = () => {
+            if(options.restore === false) {
+                return Promise.resolve([]);
+            }
+
+            return Promise.all([
+                user.getLights().then(_checkErrors),
+                Promise.all(groups.map(id => user.getGroup(id).then(_checkErrors)))
+            ]).then(([all, members]) => lights
+                .concat(...members.map(group => group.lights || []))
+                .filter((id, i, ids) => ids.indexOf(id) === i && all[id])
+                .map(id => [id, _restorableState(all[id].state)]));
+        };
+
+        var restore = saved => Promise.all(saved.map(([id, state]) => _restoreLight(data => send('light', id, data), state)));
+
+        var play = (i = 0) => {
+            if(status === 'cancelled' || keyframes.length === 0) {
+                return Promise.resolve();
+            }
+            if(i === keyframes.length) {
+                if(++loops >= iterations) {
+                    return Promise.resolve();
+                }
+                i = 0;
+            }
+
+            var keyframe = keyframes[i],
+                data = Object.assign({}, keyframe);
+
+            delete data.duration;
+            delete data.transition;
+            if('transition' in keyframe) {
+                data.transitiontime = Math.round(keyframe.transition / 100);
+            }
+
+            emitter.emit('keyframe', { index: i, loop: loops, keyframe });
+
+            return Promise.all(lights.map(id => send('light', id, data)).concat(groups.map(id => send('group', id, data))))
+                .then(() => wait('duration' in keyframe ? keyframe.duration : keyframe.transition || 0))
+                .then(() => play(i + 1));
+        };
+
+        var animation = snapshot().then(saved => play().then(
+            () => restore(saved),
+            error => restore(saved).then(() => { throw error; }, () => { throw error; })
+        )).then(() => ({ cancelled: status === 'cancelled', loops }));
+
+        return Object.assign(animation, {
+            on: (event, fn) => {
+                emitter.on(event, fn);
+                return animation;
+            },
+            off: (event, fn) => {
+                emitter.off(event, fn);
+                return animation;
+            },
+            /**
+             * Pauses the animation, holding the current keyframe.
+             *
+             * @method pause
+             */
+            pause: () => {
+                if(status === 'running') {
+                    status = 'paused';
+                    if(timer) {
+                        clearTimeout(timer);
+                        timer = null;
+                        remaining = Math.max(0, remaining - (Date.now() - started));
+                    }
+                }
+            },
+            /**
+             * Resumes the paused animation.
+             *
+             * @method resume
+             */
+            resume: () => {
+                if(status === 'paused') {
+                    status = 'running';
+                    if(wake && !timer) {
+                        schedule();
+                    }
+                }
+            },
+            /**
+             * Cancels the animation, restoring the previous light states
+             * unless disabled.
+             *
+             * @method cancel
+             */
+            cancel: () => {
+                if(status !== 'cancelled') {
+                    status = 'cancelled';
+                    clearTimeout(timer);
+                    timer = null;
+                    if(wake) {
+                        proceed();
+                    }
+                }
+            }
+        });
+    };
 
     /**
-     * Performs fetch request with JSON (no body).
+     * Applies a state temporarily.
      *
-     * @method _requestJsonUrl
+     * See jsHueUser.withTemporaryState.
+     *
+     * @method _temporaryState
      * @private
-     * @param {String} method GET, PUT, POST, or DELETE
-     * @param {String} url request URL
-     * @return {Promise} promise resolving to response data object
+     * @param {Object} user user object
+     * @param {Object} targets lights and groups
+     * @param {Object} state temporary state
+     * @param {Number} duration time to keep the state in milliseconds
+     * @return {Promise} promise resolving to the restored and unreachable lights
      */
-    var _requestJsonUrl = (method, url) => _requestJson(method, url, null);
+    var _temporaryState = (user, targets, state, duration) => {
+        var lights = (targets.lights || []).map(String),
+            groups = (targets.groups || []).map(String),
+            getLight = id => user.getLight(id).then(_checkErrors).then(light => [id, light.state]);
+
+        var snapshot = () => Promise.all(groups.map(id => user.getGroup(id).then(_checkErrors)))
+            .then(members => lights.concat(...members.map(group => group.lights || [])))
+            .then(ids => Promise.all(ids.filter((id, i) => ids.indexOf(id) === i).map(getLight)));
+
+        return snapshot().then(states => {
+            var reachable = states.filter(([id, light]) => light.reachable !== false),
+                unreachable = states.filter(([id, light]) => light.reachable === false).map(([id]) => id);
+
+            var apply = () => Promise.all(lights
+                .filter(id => unreachable.indexOf(id) === -1)
+                .map(id => user.setLightState(id, state).then(_checkErrors))
+                .concat(groups.map(id => user.setGroupState(id, state).then(_checkErrors))))
+                .then(() => new Promise(resolve => setTimeout(resolve, duration)));
+
+            // restores every light, even if others fail, before reporting the first error
+            var restore = () => Promise.all(reachable.map(([id, light]) =>
+                _restoreLight(data => user.setLightState(id, data), _restorableState(light)).then(_checkErrors).then(() => null, error => error)))
+                .then(errors => {
+                    var error = errors.find(e => e);
+
+                    if(error) {
+                        throw error;
+                    }
+                    return { restored: reachable.map(([id]) => id), unreachable };
+                });
+
+            return apply().then(restore, error => restore().then(() => { throw error; }, () => { throw error; }));
+        });
+    };
 
     /**
-     * Performs fetch GET.
+     * Longest transition time supported by the bridge (in multiples of 100ms).
      *
-     * @method _get
+     * @property _maxTransitionTime
      * @private
-     * @param {String} url request URL
-     * @return {Promise} promise resolving to response data object
      */
-    var _get = _requestJsonUrl.bind(null, 'GET');
+    var _maxTransitionTime = 65535;
 
     /**
-     * Performs fetch PUT.
+     * Formats the time of a schedule.
+     *
+     * Without days, the time is an absolute local time. With days, the time
+     * recurs weekly on the given days (weekday names, or bitmask from Monday,
+     * 64, to Sunday, 1), shifted back to earlier days when the date lies before
+     * the reference date.
      *
-     * @method _put
+     * @method _scheduleTime
      * @private
-     * @param {String} url request URL
-     * @param {Object} data request data object
-     * @return {Promise} promise resolving to response data object
+     * @param {Date} date date
+     * @param {Object} days weekday names or bitmask (optional)
+     * @param {Date} reference date the weekdays refer to (optional)
+     * @return {String} schedule time
      */
-    var _put = _requestJson.bind(null, 'PUT');
+    var _scheduleTime = (date, days, reference = date) => {
+        var midnight = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()),
+            time = { hours: date.getHours(), minutes: date.getMinutes(), seconds: date.getSeconds() };
+
+        if(!days) {
+            return hueTime.build({ type: 'absolute', date });
+        }
+        if(Array.isArray(days)) {
+            days = _weekdays.reduce((mask, day, i) => days.indexOf(day) === -1 ? mask : mask | 64 >> i, 0);
+        }
+
+        for(var shift = Math.round((midnight(reference) - midnight(date)) / 86400000); shift > 0; shift--) {
+            days = ((days << 1) | (days >> 6)) & 127;
+        }
+        return hueTime.build({ type: 'recurring', days, time });
+    };
 
     /**
-     * Performs fetch POST.
+     * Deletes schedules one at a time.
      *
-     * @method _post
+     * @method _deleteSchedules
      * @private
-     * @param {String} url request URL
-     * @param {Object} data request data object
-     * @return {Promise} promise resolving to response data object
+     * @param {Object} user user object
+     * @param {Array} ids schedule IDs
+     * @return {Promise} promise resolving to the schedule IDs
      */
-    var _post = _requestJson.bind(null, 'POST');
+    var _deleteSchedules = (user, ids) => ids
+        .reduce((p, id) => p.then(() => user.deleteSchedule(id).then(_checkErrors)), Promise.resolve())
+        .then(() => ids);
 
     /**
-     * Performs fetch DELETE.
+     * Creates the schedules of a wake-up or wind-down routine.
      *
-     * @method _delete
+     * See jsHueUser.createWakeUp and jsHueUser.createWindDown.
+     *
+     * @method _routine
      * @private
-     * @param {String} url request URL
-     * @return {Promise} promise resolving to response data object
+     * @param {Object} user user object
+     * @param {Object} options routine options
+     * @param {Boolean} wake whether to wake up (ramp up from off) or wind down
+     *     (ramp down and turn off)
+     * @return {Promise} promise resolving to the routine
      */
-    var _delete = _requestJsonUrl.bind(null, 'DELETE');
+    var _routine = (user, options, wake) => {
+        var name = options.name || (wake ? 'Wake up' : 'Wind down'),
+            end = new Date(options.time),
+            seconds = Math.max(1, Math.round((options.duration || 1800000) / 1000)),
+            start = new Date(end - seconds * 1000),
+            bri = options.bri || (wake ? [1, 254] : [254, 1]),
+            ct = (options.kelvin || (wake ? [2000, 4000] : [4000, 2000])).map(k => hueColor.kelvinToMired(k, hueColor.ctRange)),
+            steps = Math.ceil(seconds * 10 / _maxTransitionTime),
+            bounds = Array.from({ length: steps + 1 }, (_, i) => Math.round(i * seconds / steps)),
+            at = (range, t) => Math.round(range[0] + (range[1] - range[0]) * t / seconds),
+            commands = user.scheduleCommandGenerator(),
+            created = [];
+
+        if(isNaN(end)) {
+            return Promise.reject(new HueError('Invalid routine time'));
+        }
+
+        // the transition time is capped, so long ramps are split into steps
+        var states = bounds.slice(1).map((t, i) => [
+            new Date(+start + bounds[i] * 1000),
+            { bri: at(bri, t), ct: at(ct, t), transitiontime: (t - bounds[i]) * 10 }
+        ]);
+
+        if(wake) {
+            states.unshift([new Date(start - 1000), { on: true, bri: bri[0], ct: ct[0], transitiontime: 0 }]);
+        }
+        else {
+            states.push([end, { on: false }]);
+        }
+
+        var schedules = states.map(([date, state]) => (options.lights || [])
+            .map(id => commands.setLightState(id, state))
+            .concat((options.groups || []).map(id => commands.setGroupState(id, state)))
+            .map(command => command.then(command => ({
+                name,
+                description: `jsHue routine ${name}`,
+                command,
+                localtime: _scheduleTime(date, options.days, end)
+            }))));
+
+        return Promise.all([].concat(...schedules))
+            .then(bodies => bodies.reduce((p, body) => p
+                .then(() => user.createSchedule(body))
+                .then(_checkErrors)
+                .then(data => created.push(data[0].success.id)), Promise.resolve()))
+            .then(() => ({
+                name,
+                schedules: created,
+                /**
+                 * Deletes the schedules of the routine.
+                 *
+                 * @method remove
+                 * @return {Promise} promise resolving to the schedule IDs
+                 */
+                remove: () => _deleteSchedules(user, created)
+            }), error => _deleteSchedules(user, created).then(() => { throw error; }, () => { throw error; }));
+    };
 
     /**
-     * Creates a parametrized fetch request function.
+     * Creates an adaptive lighting controller.
      *
-     * The given request URL generator function should generate a request URL from
-     * a single input parameter. For example:
+     * See jsHueUser.adaptiveLighting.
      *
-     * (id) => { return `http://path/to/resource/${id}`; }
+     * @method _adaptiveLighting
+     * @private
+     * @param {Object} user user object
+     * @param {Object} options controller options
+     * @return {Object} controller (on, off, update, and stop)
+     */
+    var _adaptiveLighting = (user, options) => {
+        var emitter = _emitter(),
+            groups = (options.groups || []).map(String),
+            interval = options.interval || 60000,
+            transitiontime = Math.round(('transition' in options ? options.transition : 4000) / 100),
+            expected = {},
+            overridden = {},
+            timer = null,
+            stopped = false;
+
+        // tolerates rounding by the bridge
+        var matches = (state, data) => Math.abs(state.bri - data.bri) <= 2 &&
+            (!('ct' in data) || state.colormode === 'ct' && Math.abs(state.ct - data.ct) <= 2);
+
+        var update = () => {
+            var date = new Date(),
+                target = hueSun.adaptiveState(date, options);
+
+            return Promise.all([
+                user.getLights().then(_checkErrors),
+                Promise.all(groups.map(id => user.getGroup(id).then(_checkErrors)))
+            ]).then(([lights, members]) => {
+                var ids = members.map(group => (group.lights || []).filter(id => lights[id])),
+                    updated = [];
+
+                var wanted = id => {
+                    var light = lights[id],
+                        range = hueColor.lightCtRange(light) || hueColor.ctRange;
+
+                    return 'ct' in light.state
+                        ? { bri: target.bri, ct: Math.max(range.min, Math.min(range.max, target.ct)) }
+                        : { bri: target.bri };
+                };
+
+                // a light is overridden once it no longer has the last state sent,
+                // until it is turned off
+                [].concat(...ids).forEach(id => {
+                    var state = lights[id].state;
+
+                    if(!state.on) {
+                        delete expected[id];
+                        delete overridden[id];
+                    }
+                    else if(id in expected && !matches(state, expected[id])) {
+                        overridden[id] = true;
+                    }
+                });
+
+                if(stopped) {
+                    return null;
+                }
+
+                return Promise.all(groups.map((group, i) => {
+                    var active = ids[i].filter(id => lights[id].state.on && !overridden[id]).filter(id => updated.indexOf(id) === -1),
+                        writes = ids[i].some(id => overridden[id] || !lights[id].state.on)
+                            ? active.map(id => user.setLightState(id, Object.assign(wanted(id), { transitiontime })))
+                            : [user.setGroupState(group, { bri: target.bri, ct: target.ct, transitiontime })];
+
+                    active.forEach(id => {
+                        expected[id] = wanted(id);
+                        updated.push(id);
+                    });
+
+                    return Promise.all(writes.map(write => write.then(_checkErrors)));
+                })).then(() => {
+                    var event = {
+                        date,
+                        ct: target.ct,
+                        bri: target.bri,
+                        elevation: target.elevation,
+                        updated,
+                        overridden: Object.keys(overridden)
+                    };
+
+                    emitter.emit('update', event);
+                    return event;
+                });
+            });
+        };
+
+        var tick = () => {
+            update()
+                .catch(error => emitter.emit('error', error))
+                .then(() => {
+                    if(!stopped) {
+                        timer = setTimeout(tick, interval);
+                    }
+                });
+        };
+
+        tick();
+
+        return {
+            on: emitter.on,
+            off: emitter.off,
+            /**
+             * Updates the lights now, in addition to the periodic updates.
+             *
+             * @method update
+             * @return {Promise} promise resolving to the update event
+             */
+            update,
+            /**
+             * Stops updating the lights.
+             *
+             * @method stop
+             */
+            stop: () => {
+                stopped = true;
+                clearTimeout(timer);
+            }
+        };
+    };
+
+    /**
+     * Encodes a DNS question for a PTR record.
      *
-     * The returned parametrized request function takes this same input parameter
-     * plus the remaining parameters of the given request function. For example, a
-     * parametrized _get or _delete will have the following signature:
+     * @method _dnsQuery
+     * @private
+     * @param {String} name domain name
+     * @return {Uint8Array} DNS message
+     */
+    var _dnsQuery = name => {
+        var labels = name.split('.').map(l => Array.from(l).map(c => c.charCodeAt(0))),
+            qname = labels.reduce((bytes, l) => bytes.concat([l.length], l), []).concat([0]);
+
+        // header: id 0, flags 0, 1 question; question: qname, type PTR (12), class IN (1)
+        return new Uint8Array([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0].concat(qname, [0, 12, 0, 1]));
+    };
+
+    /**
+     * Decodes the resource records of a DNS message.
      *
-     * (id)
+     * Answer, authority, and additional records are all returned. PTR, SRV, TXT,
+     * and A record data is decoded; other record data is omitted.
      *
-     * A parametrized _put or _post will have the following signature:
+     * @method _dnsRecords
+     * @private
+     * @param {Uint8Array} message DNS message
+     * @return {Array} records (name, type, and decoded data)
+     */
+    var _dnsRecords = message => {
+        var view = new DataView(message.buffer, message.byteOffset, message.byteLength),
+            offset = 12;
+
+        var readName = start => {
+            var labels = [],
+                i = start,
+                end = null;
+
+            for(var jumps = 0; jumps < 64; jumps++) {
+                var length = view.getUint8(i);
+
+                if(length === 0) {
+                    return { name: labels.join('.'), end: end === null ? i + 1 : end };
+                }
+                if((length & 0xc0) === 0xc0) {
+                    if(end === null) {
+                        end = i + 2;
+                    }
+                    i = view.getUint16(i) & 0x3fff;
+                    continue;
+                }
+                labels.push(String.fromCharCode.apply(null, message.subarray(i + 1, i + 1 + length)));
+                i += length + 1;
+            }
+            throw new HueError('Invalid DNS name');
+        };
+
+        var questions = view.getUint16(4),
+            count = view.getUint16(6) + view.getUint16(8) + view.getUint16(10),
+            records = [];
+
+        for(var q = 0; q < questions; q++) {
+            offset = readName(offset).end + 4;
+        }
+
+        for(var r = 0; r < count; r++) {
+            var owner = readName(offset),
+                type = view.getUint16(owner.end),
+                length = view.getUint16(owner.end + 8),
+                data = owner.end + 10,
+                record = { name: owner.name, type };
+
+            if(type === 12) {
+                record.ptr = readName(data).name;
+            }
+            else if(type === 33) {
+                record.port = view.getUint16(data + 4);
+                record.target = readName(data + 6).name;
+            }
+            else if(type === 16) {
+                record.txt = {};
+                for(var t = data; t < data + length; t += view.getUint8(t) + 1) {
+                    var entry = String.fromCharCode.apply(null, message.subarray(t + 1, t + 1 + view.getUint8(t))),
+                        eq = entry.indexOf('=');
+
+                    if(entry) {
+                        record.txt[eq < 0 ? entry : entry.slice(0, eq)] = eq < 0 ? '' : entry.slice(eq + 1);
+                    }
+                }
+            }
+            else if(type === 1) {
+                record.address = Array.from(message.subarray(data, data + 4)).join('.');
+            }
+
+            records.push(record);
+            offset = data + length;
+        }
+
+        return records;
+    };
+
+    /**
+     * Sends a multicast UDP query and collects the responses.
      *
-     * (id, data)
+     * @method _multicast
+     * @private
+     * @param {Object} options discovery options (dgram, wait, and signal)
+     * @param {String} address multicast address
+     * @param {Number} port multicast port
+     * @param {Uint8Array} query query message
+     * @return {Promise} promise resolving to responses (message and rinfo)
+     */
+    var _multicast = (options, address, port, query) => {
+        var dgram = options.dgram || _options.dgram;
+
+        if(!dgram) {
+            return Promise.reject(new HueError('Multicast discovery requires a dgram implementation'));
+        }
+
+        var responses = [],
+            socket = null;
+
+        var listen = () => new Promise((resolve, reject) => {
+            socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            socket.on('error', reject);
+            socket.on('message', (message, rinfo) => responses.push({ message: new Uint8Array(message), rinfo }));
+            socket.bind(() => {
+                socket.send(query, port, address, error => {
+                    if(error) {
+                        reject(error);
+                    }
+                });
+                setTimeout(resolve, options.wait || 3000);
+            });
+        });
+
+        var close = () => {
+            if(socket) {
+                socket.close();
+                socket = null;
+            }
+        };
+
+        return _abortable(listen, options.signal, 0).then(
+            () => {
+                close();
+                return responses;
+            },
+            error => {
+                close();
+                throw error;
+            }
+        );
+    };
+
+    /**
+     * Discovers bridges by multicast DNS (_hue._tcp.local).
      *
-     * These functions will make appropriate requests to the URLs generated from the
-     * first input parameter.
+     * Sends a one-shot mDNS query and collects the responses received within
+     * the wait time.
      *
-     * @method _parametrize
+     * @method _discoverMdns
+     * @private
+     * @param {Object} options discovery options (dgram, wait, and signal)
+     * @return {Promise} promise resolving to bridges (id, internalipaddress, port, name, and modelid)
+     */
+    var _discoverMdns = options => {
+        const SERVICE = '_hue._tcp.local';
+
+        return _multicast(options, '224.0.0.251', 5353, _dnsQuery(SERVICE)).then(responses => {
+            var records = responses.reduce((records, r) => {
+                try {
+                    return records.concat(_dnsRecords(r.message));
+                }
+                catch(e) {
+                    // ignore malformed responses
+                    return records;
+                }
+            }, []);
+
+            var find = (type, name) => records.find(r => r.type === type && r.name.toLowerCase() === name.toLowerCase()) || {},
+                instances = records.filter(r => r.type === 12 && r.name.toLowerCase() === SERVICE).map(r => r.ptr);
+
+            return instances.filter((name, i) => instances.indexOf(name) === i).map(name => {
+                var srv = find(33, name),
+                    txt = find(16, name).txt || {},
+                    a = srv.target ? find(1, srv.target) : {};
+
+                return {
+                    id: (txt.bridgeid || '').toLowerCase(),
+                    internalipaddress: a.address,
+                    port: srv.port,
+                    name: name.slice(0, -SERVICE.length - 1),
+                    modelid: txt.modelid
+                };
+            }).filter(b => b.id && b.internalipaddress);
+        });
+    };
+
+    /**
+     * Parses bridge information from a UPnP description.xml document.
+     *
+     * @method _parseDescription
+     * @private
+     * @param {String} xml description document
+     * @return {Object} bridge information (friendlyname, modelname, modelnumber, and serialnumber)
+     */
+    var _parseDescription = xml => {
+        var element = name => {
+            var match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+            return match ? match[1].trim() : undefined;
+        };
+
+        return {
+            friendlyname: element('friendlyName'),
+            modelname: element('modelName'),
+            modelnumber: element('modelNumber'),
+            serialnumber: element('serialNumber')
+        };
+    };
+
+    /**
+     * Discovers bridges by SSDP (UPnP).
+     *
+     * Sends an M-SEARCH request, collects the responses of Hue bridges received
+     * within the wait time, and fetches the description.xml of each bridge. The
+     * firmware version is taken from the IpBridge product token of the SSDP
+     * SERVER header.
+     *
+     * @method _discoverSsdp
+     * @private
+     * @param {Object} options discovery options (dgram, wait, signal, and timeout)
+     * @return {Promise} promise resolving to bridges (id, internalipaddress, port,
+     * friendlyname, modelname, modelnumber, serialnumber, and firmware)
+     */
+    var _discoverSsdp = options => {
+        var search = [
+            'M-SEARCH * HTTP/1.1',
+            'HOST: 239.255.255.250:1900',
+            'MAN: "ssdp:discover"',
+            `MX: ${Math.max(1, Math.ceil((options.wait || 3000) / 1000))}`,
+            'ST: ssdp:all',
+            '', ''
+        ].join('\r\n');
+
+        var query = new Uint8Array(Array.from(search).map(c => c.charCodeAt(0)));
+
+        var headers = message => String.fromCharCode.apply(null, message).split(/\r?\n/).slice(1).reduce((headers, line) => {
+            var i = line.indexOf(':');
+
+            if(i > 0) {
+                headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+            }
+            return headers;
+        }, {});
+
+        var describe = location => _get(location, {
+            signal: options.signal,
+            timeout: 'timeout' in options ? options.timeout : 1500,
+            retry: false,
+            text: true
+        }).then(_parseDescription, () => ({}));
+
+        return _multicast(options, '239.255.255.250', 1900, query).then(responses => {
+            var bridges = {};
+
+            responses.map(r => headers(r.message)).forEach(h => {
+                var firmware = /IpBridge\/([\w.]+)/.exec(h.server || '');
+
+                if(!h.location || !(h['hue-bridgeid'] || firmware)) {
+                    return;
+                }
+
+                var location = h.location.match(/^https?:\/\/([^/:]+)(?::(\d+))?/);
+
+                if(location && !bridges[h.location]) {
+                    bridges[h.location] = {
+                        id: (h['hue-bridgeid'] || '').toLowerCase(),
+                        internalipaddress: location[1],
+                        port: location[2] ? Number(location[2]) : 80,
+                        firmware: firmware ? firmware[1] : undefined,
+                        location: h.location
+                    };
+                }
+            });
+
+            return Promise.all(Object.keys(bridges).map(location => describe(location).then(description => {
+                var bridge = Object.assign(bridges[location], description),
+                    serial = (bridge.serialnumber || '').toLowerCase();
+
+                // bridge ID is the serial number (MAC address) with fffe inserted in the middle
+                if(!bridge.id && serial.length === 12) {
+                    bridge.id = `${serial.slice(0, 6)}fffe${serial.slice(6)}`;
+                }
+                delete bridge.location;
+                return bridge;
+            }))).then(bridges => bridges.filter(b => b.id));
+        });
+    };
+
+    /**
+     * Lists the host addresses of an IPv4 CIDR range.
+     *
+     * The network and broadcast addresses are excluded for ranges with more
+     * than two addresses. Ranges larger than /16 are rejected.
+     *
+     * @method _cidrHosts
+     * @private
+     * @param {String} cidr CIDR range, e.g. 192.168.1.0/24
+     * @return {Array} host addresses
+     */
+    var _cidrHosts = cidr => {
+        var match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(String(cidr).trim()),
+            octets = match ? match.slice(1, 5).map(Number) : [],
+            prefix = match && match[5] !== undefined ? Number(match[5]) : 32;
+
+        if(!match || octets.some(o => o > 255) || prefix > 32) {
+            throw new HueError(`Invalid CIDR range: ${cidr}`);
+        }
+        if(prefix < 16) {
+            throw new HueError(`CIDR range too large: ${cidr}`);
+        }
+
+        var size = Math.pow(2, 32 - prefix),
+            network = octets.reduce((n, o) => n * 256 + o, 0),
+            first = network - network % size,
+            hosts = [];
+
+        for(var n = first; n < first + size; n++) {
+            if(size > 2 && (n === first || n === first + size - 1)) {
+                continue;
+            }
+            hosts.push([n >>> 24, n >>> 16 & 255, n >>> 8 & 255, n & 255].join('.'));
+        }
+        return hosts;
+    };
+
+    /**
+     * Discovers bridges by scanning a subnet.
+     *
+     * Probes the unauthenticated configuration (/api/config) of each host in
+     * the CIDR range with bounded concurrency, and identifies bridges by their
+     * bridgeid and modelid. Probes that fail or time out (after 1500ms by
+     * default, or never with a timeout of 0) are skipped. Until the scan is
+     * aborted, the progress callback is called after each probe with the number
+     * of hosts scanned, the total number of hosts, and the bridges found so far.
+     *
+     * @method _discoverScan
+     * @private
+     * @param {Object} options discovery options (cidr, concurrency, timeout, onProgress, and signal)
+     * @return {Promise} promise resolving to bridges (id, internalipaddress, name, and modelid)
+     */
+    var _discoverScan = options => {
+        var hosts, found, next = 0, scanned = 0,
+            signal = options.signal,
+            init = { signal, timeout: 'timeout' in options ? options.timeout : 1500, retry: false };
+
+        try {
+            if(!options.cidr) {
+                throw new HueError('Subnet scan requires a CIDR range');
+            }
+            hosts = _cidrHosts(options.cidr);
+            found = new Array(hosts.length);
+        }
+        catch(error) {
+            return Promise.reject(error);
+        }
+
+        var bridges = () => found.filter(b => b);
+
+        var probe = i => _get(`http://${hosts[i]}/api/config`, init).then(data => {
+            if(data && data.bridgeid && data.modelid) {
+                found[i] = {
+                    id: String(data.bridgeid).toLowerCase(),
+                    internalipaddress: hosts[i],
+                    name: data.name,
+                    modelid: data.modelid
+                };
+            }
+        }, () => {}).then(() => {
+            scanned++;
+            if(options.onProgress && !(signal && signal.aborted)) {
+                options.onProgress({ scanned, total: hosts.length, bridges: bridges() });
+            }
+        });
+
+        var worker = () => {
+            if(next >= hosts.length || (signal && signal.aborted)) {
+                return Promise.resolve();
+            }
+            return probe(next++).then(worker);
+        };
+
+        var workers = [];
+        for(var w = 0; w < Math.min(options.concurrency || 16, hosts.length); w++) {
+            workers.push(worker());
+        }
+
+        return Promise.all(workers).then(() => {
+            if(signal && signal.aborted) {
+                throw new HueAbortError();
+            }
+            return bridges();
+        });
+    };
+
+    /**
+     * Merges lists of discovered bridges by bridge ID.
+     *
+     * Where a bridge is found more than once, properties found first take
+     * precedence.
+     *
+     * @method _mergeBridges
+     * @private
+     * @param {Array} lists lists of bridges
+     * @return {Array} bridges
+     */
+    var _mergeBridges = lists => lists.reduce((bridges, list) => {
+        list.forEach(bridge => {
+            var id = String(bridge.id).toLowerCase(),
+                existing = bridges.find(b => String(b.id).toLowerCase() === id);
+
+            if(existing) {
+                Object.keys(bridge).filter(k => existing[k] === undefined).forEach(k => existing[k] = bridge[k]);
+            }
+            else {
+                bridges.push(Object.assign({}, bridge));
+            }
+        });
+        return bridges;
+    }, []);
+
+    /**
+     * CLIP API v2 resource types with generated methods.
+     *
+     * Each entry lists the resource type, the singular and plural method name
+     * suffixes, and whether resources of the type can be created and deleted.
+     *
+     * @property _v2Resources
      * @private
-     * @param {Function} method request function (_get, _put, _post, or _delete)
-     * @param {Function} url request URL generator function
-     * @return {Function} parametrized request function
+     * @type Array
      */
-    var _parametrize = (method, url) => (p, ...rest) => method(url(p), ...rest);
+    var _v2Resources = [
+        ['light', 'Light', 'Lights', false, false],
+        ['grouped_light', 'GroupedLight', 'GroupedLights', false, false],
+        ['room', 'Room', 'Rooms', true, true],
+        ['zone', 'Zone', 'Zones', true, true],
+        ['bridge_home', 'BridgeHome', 'BridgeHomes', false, false],
+        ['scene', 'Scene', 'Scenes', true, true],
+        ['smart_scene', 'SmartScene', 'SmartScenes', true, true],
+        ['device', 'Device', 'Devices', false, true],
+        ['bridge', 'Bridge', 'Bridges', false, false],
+        ['device_power', 'DevicePower', 'DevicePowers', false, false],
+        ['zigbee_connectivity', 'ZigbeeConnectivity', 'ZigbeeConnectivities', false, false],
+        ['motion', 'Motion', 'Motions', false, false],
+        ['temperature', 'Temperature', 'Temperatures', false, false],
+        ['light_level', 'LightLevel', 'LightLevels', false, false],
+        ['button', 'Button', 'Buttons', false, false],
+        ['relative_rotary', 'RelativeRotary', 'RelativeRotaries', false, false],
+        ['contact', 'Contact', 'Contacts', false, false],
+        ['tamper', 'Tamper', 'Tampers', false, false],
+        ['behavior_script', 'BehaviorScript', 'BehaviorScripts', false, false],
+        ['behavior_instance', 'BehaviorInstance', 'BehaviorInstances', true, true],
+        ['geofence_client', 'GeofenceClient', 'GeofenceClients', true, true],
+        ['geolocation', 'Geolocation', 'Geolocations', false, false],
+        ['entertainment_configuration', 'EntertainmentConfiguration', 'EntertainmentConfigurations', true, true],
+        ['entertainment', 'Entertainment', 'Entertainments', false, false]
+    ];
 
     /**
-     * Creates an echo.
+     * Functions setting the locator of a bridge object, by bridge object.
      *
-     * The returned function acts as a fetch implementation which just echoes back
-     * the request. This is used for schedule command and rule action generation.
+     * A locator (host, address, and relocate functions) replaces the fixed
+     * host of a bridge object, so that it follows its bridge to new IP
+     * addresses (see bridgeById).
      *
-     * @method _echo
+     * @property _locators
      * @private
-     * @param {String} baseUrl base URL to strip out
-     * @return {Function} echo fetch implementation
+     * @type WeakMap
      */
-    var _echo = baseUrl => (url, data) => Promise.resolve(new Response(JSON.stringify({
-        address: url.slice(baseUrl.length),
-        method: data.method,
-        body: JSON.parse(data.body)
-    })));
+    var _locators = new WeakMap();
+
+    var _instance = {
+        /* ================================================== */
+        /* Middleware                                         */
+        /* ================================================== */
+
+        /**
+         * Adds a middleware function for all requests of this instance.
+         *
+         * A middleware function is called with a request object (method, url,
+         * data, and options) and a next function, and should resolve to the
+         * response data object. It can log or modify the request before calling
+         * next, modify the response data object resolved by next, or resolve to
+         * its own response data object without calling next. Middleware functions
+         * are called in the order they were added.
+         *
+         * @method use
+         * @param {Function} fn middleware function
+         */
+        use: fn => {
+            _middleware.push(fn);
+        },
 
-    return {
         /* ================================================== */
         /* Portal API                                         */
         /* ================================================== */
@@ -147,41 +3735,315 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
         /**
          * Discovers local bridges.
          *
+         * By default, bridges are discovered using the N-UPnP portal and the
+         * promise resolves to the portal response. If discovery methods are
+         * given, the bridges found by each method are merged by bridge ID; the
+         * promise rejects only if all methods fail.
+         *
+         * Supported discovery methods:
+         *
+         * - nupnp: N-UPnP portal, requested with the signal, retry, and
+         *   headers request options
+         * - mdns: multicast DNS (_hue._tcp.local), requires a dgram
+         *   implementation such as Node's dgram module
+         * - ssdp: SSDP (UPnP) with description.xml, also requires a dgram
+         *   implementation; bridges include friendlyname, modelname,
+         *   modelnumber, serialnumber, and firmware
+         * - scan: probes /api/config of each host in a CIDR range, for
+         *   networks where multicast and the portal are unavailable
+         *
+         * Supported options, besides request options:
+         *
+         * - methods: discovery methods (default ['nupnp'])
+         * - dgram: dgram implementation (default from jsHue options)
+         * - wait: time to wait for multicast responses in milliseconds
+         *   (default 3000)
+         * - cidr: CIDR range to scan, e.g. 192.168.1.0/24 (at most /16)
+         * - concurrency: maximum number of simultaneous scan probes
+         *   (default 16)
+         * - timeout: timeout of scan probes and description.xml requests in
+         *   milliseconds (default 1500)
+         * - onProgress: function called after each scan probe with an object
+         *   (scanned, total, and bridges)
+         *
          * @method discover
+         * @param {Object} options discovery options (optional)
          * @return {Promise} promise resolving to response data object
          */
-        discover: _get.bind(null, 'https://www.meethue.com/api/nupnp'),
+        discover: (options = {}) => {
+            const NUPNP_URL = 'https://www.meethue.com/api/nupnp';
+
+            if(!options.methods) {
+                return _get(NUPNP_URL, _pick(options, ['signal', 'timeout', 'retry', 'headers']));
+            }
+
+            // the timeout applies to scan probes and descriptions, not to the portal
+            var methods = {
+                nupnp: () => _get(NUPNP_URL, _pick(options, ['signal', 'retry', 'headers'])).then(data => {
+                    if(!Array.isArray(data)) {
+                        throw new HueError('Invalid N-UPnP response');
+                    }
+                    return _checkErrors(data);
+                }),
+                mdns: () => _discoverMdns(options),
+                ssdp: () => _discoverSsdp(options),
+                scan: () => _discoverScan(options)
+            };
+
+            var results = options.methods.map(m => methods[m]
+                ? methods[m]().then(bridges => ({ bridges }), error => ({ error }))
+                : Promise.resolve({ error: new HueError(`Unknown discovery method: ${m}`) }));
+
+            return Promise.all(results).then(results => {
+                var found = results.filter(r => !r.error);
+
+                if(found.length === 0 && results.length > 0) {
+                    throw results[0].error;
+                }
+                return _mergeBridges(found.map(r => r.bridges));
+            });
+        },
         /**
          * Creates bridge object (jsHueBridge).
          *
+         * Options (rejectErrors, timeout, retry, https, agent) override those of the
+         * jsHue instance for requests to this bridge.
+         *
          * @method bridge
          * @param {String} ip ip address or hostname of bridge
+         * @param {Object} options options (optional)
          * @return {Object} bridge object
          */
-        bridge: ip => {
+        bridge: (ip, options = {}) => {
             /**
              * @class jsHueBridge
              */
-            var _baseUrl = `http://${ip}`,
-                _bridgeUrl = `${_baseUrl}/api`;
+            var _settings = Object.assign({}, _options, options),
+                _bridgeUrl = '/api',
+                _locator = null;
+
+            var _bridgeMiddleware = [];
+
+            var _requests = _requester(_settings, () => _middleware.concat(_bridgeMiddleware));
+
+            /**
+             * Gets the current host of the bridge.
+             *
+             * @method _host
+             * @private
+             * @return {Promise} promise resolving to IP address or hostname
+             */
+            var _host = () => _locator ? _locator.host() : Promise.resolve(ip);
+
+            /**
+             * Gets the last known host of the bridge without locating it.
+             *
+             * @method _address
+             * @private
+             * @return {String} IP address or hostname, or null if not located yet
+             */
+            var _address = () => _locator ? _locator.address() : ip;
+
+            /**
+             * Gets the host of the bridge after a request to a host failed.
+             *
+             * @method _relocate
+             * @private
+             * @param {String} host host the request failed at
+             * @param {Error} error request error
+             * @return {Promise} promise resolving to the new host, or rejected
+             *     with the error if the bridge did not move
+             */
+            var _relocate = (host, error) => _locator ? _locator.relocate(host, error) : Promise.reject(error);
 
-            return {
+            /**
+             * Creates request functions taking paths on the bridge, which are
+             * resolved against the current host of the bridge when sent.
+             *
+             * @method _at
+             * @private
+             * @param {Boolean} https whether to use HTTPS
+             * @return {Object} request functions (_get, _put, _post, and _delete)
+             */
+            var _at = https => ['_get', '_put', '_post', '_delete'].reduce((methods, method) => Object.assign(methods, {
+                [method]: (path, ...rest) => {
+                    var send = host => _requests[method](`${https ? 'https' : 'http'}://${host}${path}`, ...rest);
+
+                    return _locator
+                        ? _host().then(host => send(host).catch(error => _relocate(host, error).then(send)))
+                        : send(ip);
+                }
+            }), {});
+
+            var {_get, _put, _post, _delete} = _at(_settings.https);
+
+            var _bridge = {
+                /**
+                 * Adds a middleware function for requests to this bridge.
+                 *
+                 * Bridge middleware functions are called after those of the
+                 * jsHue instance.
+                 *
+                 * @method use
+                 * @param {Function} fn middleware function
+                 */
+                use: fn => {
+                    _bridgeMiddleware.push(fn);
+                },
                 /**
                  * Creates new user in bridge whitelist.
                  *
                  * @method createUser
                  * @param {String} type device type
+                 * @param {Object} options request options (optional)
                  * @return {Promise} promise resolving to response data object
                  */
-                createUser: type => _post(_bridgeUrl, { devicetype: type }),
+                createUser: (type, options) => _post(_bridgeUrl, { devicetype: type }, options),
+                /**
+                 * Pairs with the bridge by creating a new user once the link
+                 * button is pressed.
+                 *
+                 * Polls createUser until the link button is pressed or the
+                 * timeout expires. The returned promise has on and off methods
+                 * for listening to progress events, emitted after each attempt
+                 * with an object (attempt, elapsed, remaining, and timeoutMs),
+                 * e.g. for UI countdowns. The promise rejects with a
+                 * HueTimeoutError if the timeout expires, a HueAbortError if
+                 * the signal is aborted, or any other error of the bridge.
+                 *
+                 * Supported options:
+                 *
+                 * - devicetype: device type, e.g. my_app#device (required)
+                 * - timeoutMs: time to wait for the link button in milliseconds,
+                 *   including attempts still in progress (default 30000)
+                 * - intervalMs: time between attempts in milliseconds
+                 *   (default 1000)
+                 * - generateClientKey: whether to also generate a client key
+                 *   (default false)
+                 * - signal: abort signal for cancelling pairing
+                 *
+                 * @method pair
+                 * @param {Object} options pairing options
+                 * @return {Promise} promise resolving to username, or object (username and clientkey) if generateClientKey
+                 */
+                pair: (options = {}) => {
+                    var emitter = _emitter(),
+                        timeoutMs = 'timeoutMs' in options ? options.timeoutMs : 30000,
+                        intervalMs = 'intervalMs' in options ? options.intervalMs : 1000,
+                        signal = options.signal,
+                        body = { devicetype: options.devicetype },
+                        start = Date.now(),
+                        attempt = 0,
+                        cancel = null;
+
+                    if(options.generateClientKey) {
+                        body.generateclientkey = true;
+                    }
+
+                    // cancels the wait in progress, if any; pending requests are aborted by the signal
+                    var onAbort = () => {
+                        if(cancel) {
+                            cancel();
+                        }
+                    };
+
+                    var wait = () => new Promise((resolve, reject) => {
+                        if(signal && signal.aborted) {
+                            throw new HueAbortError();
+                        }
+
+                        var timer = setTimeout(() => {
+                            cancel = null;
+                            resolve();
+                        }, intervalMs);
+
+                        cancel = () => {
+                            clearTimeout(timer);
+                            reject(new HueAbortError());
+                        };
+                    });
+
+                    // each attempt is cut off when the pairing times out
+                    var poll = () => _post(_bridgeUrl, body, {
+                        signal,
+                        timeout: Math.max(1, timeoutMs - (Date.now() - start))
+                    }).then(_checkErrors).then(data => {
+                        var success = data[0] && data[0].success;
+
+                        if(!success || !success.username) {
+                            throw new HueError('Invalid create user response');
+                        }
+                        return options.generateClientKey
+                            ? { username: success.username, clientkey: success.clientkey }
+                            : success.username;
+                    }, error => {
+                        if(error instanceof HueTimeoutError) {
+                            throw new HueTimeoutError(timeoutMs);
+                        }
+                        if(!(error instanceof HueLinkButtonNotPressedError)) {
+                            throw error;
+                        }
+
+                        var elapsed = Date.now() - start;
+
+                        emitter.emit('progress', {
+                            attempt: ++attempt,
+                            elapsed,
+                            remaining: Math.max(0, timeoutMs - elapsed),
+                            timeoutMs
+                        });
+                        if(elapsed + intervalMs > timeoutMs) {
+                            throw new HueTimeoutError(timeoutMs);
+                        }
+                        return wait().then(poll);
+                    });
+
+                    var settle = () => {
+                        if(signal) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                    };
+
+                    if(signal && options.devicetype) {
+                        signal.addEventListener('abort', onAbort);
+                    }
+
+                    var promise = options.devicetype
+                        ? poll().then(result => {
+                            settle();
+                            return result;
+                        }, error => {
+                            settle();
+                            throw error;
+                        })
+                        : Promise.reject(new HueError('Pairing requires a device type'));
+
+                    return Object.assign(promise, {
+                        on: (event, fn) => {
+                            emitter.on(event, fn);
+                            return promise;
+                        },
+                        off: (event, fn) => {
+                            emitter.off(event, fn);
+                            return promise;
+                        }
+                    });
+                },
                 /**
                  * Creates user object (jsHueUser).
                  *
+                 * Supported options:
+                 *
+                 * - scheduler: true or scheduler options (lightRate, groupRate,
+                 *   maxDepth) to queue light and group state writes so as not to
+                 *   exceed the bridge throughput limits (default false)
+                 *
                  * @method user
                  * @param {String} username username
+                 * @param {Object} options options (optional)
                  * @return {Object} user object
                  */
-                user: username => {
+                user: (username, options = {}) => {
                     /**
                      * @class jsHueUser
                      */
@@ -206,7 +4068,56 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                         _ruleUrl = _objectUrl(_rulesUrl),
                         _linkUrl = _objectUrl(_linksUrl);
 
-                    return {
+                    var _queue = options.scheduler ? _scheduler(options.scheduler === true ? {} : options.scheduler) : null;
+
+                    var _scheduled = (kind, request) => _queue
+                        ? (id, data, options = {}) => _queue.enqueue(kind, id, data,
+                            data => request(id, data, Object.assign({}, options, { signal: null })), options.signal)
+                        : request;
+
+                    var _setLightState = _scheduled('light', _parametrize(_put, id => `${_lightUrl(id)}/state`)),
+                        _setGroupState = _scheduled('group', _parametrize(_put, id => `${_groupUrl(id)}/action`));
+
+                    // lookups for translating states are shared between requests, so they time out on their own
+                    var _lookupOptions = { timeout: _settings.timeout || 5000 };
+
+                    /**
+                     * Waits for a shared lookup within the timeout and signal of a
+                     * request, without cancelling the lookup for other requests.
+                     *
+                     * @method _lookup
+                     * @private
+                     * @param {Promise} lookup lookup
+                     * @param {Object} options request options (optional)
+                     * @return {Promise} promise resolving to lookup result
+                     */
+                    var _lookup = (lookup, options = {}) =>
+                        _abortable(() => lookup, options.signal, 'timeout' in options ? options.timeout : _settings.timeout);
+
+                    var _lightCache = {};
+
+                    // lights are fetched once for translating states, and not cached if the request fails
+                    var _lightInfo = id => _lightCache[id] = _lightCache[id] || _get(_lightUrl(id), _lookupOptions).then(_checkErrors).catch(() => {
+                        delete _lightCache[id];
+                        return null;
+                    });
+
+                    var _groupCache = {};
+
+                    // group lights are fetched once for translating states, and again after changing the group
+                    var _groupLights = id => _groupCache[id] = _groupCache[id] || _get(_groupUrl(id), _lookupOptions).then(_checkErrors)
+                        .then(group => group.lights || [])
+                        .catch(error => {
+                            delete _groupCache[id];
+                            throw error;
+                        });
+
+                    var _uncacheGroup = request => (id, ...rest) => {
+                        delete _groupCache[id];
+                        return request(id, ...rest);
+                    };
+
+                    var _user = {
                         /* ================================================== */
                         /* Capabilities API                                   */
                         /* ================================================== */
@@ -215,6 +4126,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets bridge capabilities.
                          *
                          * @method getCapabilities
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getCapabilities: _get.bind(null, _capabilitiesUrl),
@@ -228,6 +4140,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method deleteUser
                          * @param {String} username username
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteUser: _parametrize(_delete, username => `${_configUrl}/whitelist/${username}`),
@@ -235,6 +4148,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets bridge configuration.
                          *
                          * @method getConfig
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getConfig: _get.bind(null, _configUrl),
@@ -243,6 +4157,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method setConfig
                          * @param {Object} data config data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setConfig: _put.bind(null, _configUrl),
@@ -250,6 +4165,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets bridge full state.
                          *
                          * @method getFullState
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getFullState: _get.bind(null, _userUrl),
@@ -262,6 +4178,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets lights.
                          *
                          * @method getLights
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getLights: _get.bind(null, _lightsUrl),
@@ -269,6 +4186,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets new lights.
                          *
                          * @method getNewLights
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getNewLights: _get.bind(null, `${_lightsUrl}/new`),
@@ -277,14 +4195,16 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method searchForNewLights
                          * @param {Object} data data (optional)
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        searchForNewLights: (data = null) => _post(_lightsUrl, data),
+                        searchForNewLights: (data = null, options) => _post(_lightsUrl, data, options),
                         /**
                          * Gets light attributes and state.
                          *
                          * @method getLight
                          * @param {Number} id light ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getLight: _parametrize(_get, _lightUrl),
@@ -294,26 +4214,51 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setLight
                          * @param {Number} id light ID
                          * @param {Object} data attribute data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setLight: _parametrize(_put, _lightUrl),
                         /**
                          * Sets light state.
                          *
+                         * Besides xy, the color can be given as rgb or hex (any color
+                         * accepted by hueColor), which is translated to xy clamped to
+                         * the gamut of the light. Besides ct, the color temperature
+                         * can be given as kelvin, which is translated to ct clamped to
+                         * the range of the light. The light is fetched once to find
+                         * its gamut and range.
+                         *
                          * @method setLightState
                          * @param {Number} id light ID
                          * @param {Object} data state data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        setLightState: _parametrize(_put, id => `${_lightUrl(id)}/state`),
+                        setLightState: (id, data, options) => _isTranslated(data)
+                            ? _lookup(_lightInfo(id), options).then(light => _setLightState(id, _translateState(data, light), options))
+                            : _setLightState(id, data, options),
                         /**
                          * Deletes a light.
                          *
                          * @method deleteLight
                          * @param {Number} id light ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteLight: _parametrize(_delete, _lightUrl),
+                        /**
+                         * Creates light object (jsHueLight) with cached state and
+                         * chainable state changes, e.g.
+                         * light(1).on().brightness(50).color('#ff8800').transition(400).commit().
+                         *
+                         * Call refresh to fetch the light state, so that commit leaves
+                         * out unchanged values.
+                         *
+                         * @method light
+                         * @param {Number} id light ID
+                         * @return {Object} light object
+                         */
+                        light: id => _light(_user, id),
 
                         /* ================================================== */
                         /* Groups API                                         */
@@ -323,6 +4268,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets groups.
                          *
                          * @method getGroups
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getGroups: _get.bind(null, _groupsUrl),
@@ -331,6 +4277,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createGroup
                          * @param {Object} data group data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createGroup: _post.bind(null, _groupsUrl),
@@ -339,6 +4286,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getGroup
                          * @param {Number} id group ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getGroup: _parametrize(_get, _groupUrl),
@@ -348,26 +4296,105 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setGroup
                          * @param {Number} id group ID
                          * @param {Object} data attribute data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        setGroup: _parametrize(_put, _groupUrl),
+                        setGroup: _uncacheGroup(_parametrize(_put, _groupUrl)),
                         /**
                          * Sets group state.
                          *
+                         * Besides xy, the color can be given as rgb or hex (any color
+                         * accepted by hueColor), which is translated to xy. The bridge
+                         * clamps the color to the gamut of each light.
+                         *
+                         * Besides ct, the color temperature can be given as kelvin,
+                         * which is translated to ct clamped to the range of each light
+                         * in the group. If this results in the same ct for all lights,
+                         * the group state is set; otherwise the state of each light is
+                         * set, resolving to the combined response data; lights which
+                         * cannot be fetched get ct clamped to the range of Hue lights.
+                         * The group and its lights are fetched once to find their
+                         * ranges; the group is fetched again after it is changed with
+                         * setGroup.
+                         *
                          * @method setGroupState
                          * @param {Number} id group ID
                          * @param {Object} data state data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        setGroupState: _parametrize(_put, id => `${_groupUrl(id)}/action`),
+                        setGroupState: (id, data, options) => {
+                            if(!_isTranslated(data)) {
+                                return _setGroupState(id, data, options);
+                            }
+                            if(!('kelvin' in data)) {
+                                return Promise.resolve().then(() => _setGroupState(id, _translateState(data), options));
+                            }
+
+                            var lookup = _groupLights(id).then(ids => Promise.all(ids.map(light => _lightInfo(light))).then(lights => [ids, lights]));
+
+                            return _lookup(lookup, options).then(([ids, lights]) => {
+                                // lights which could not be fetched get ct clamped to the range of Hue lights
+                                var states = lights.map(light => _translateState(data, light)),
+                                    cts = states.filter((state, i) => lights[i]).map(state => state.ct).filter(ct => ct !== undefined);
+
+                                if(cts.every(ct => ct === cts[0])) {
+                                    var state = _translateState(data);
+
+                                    if(cts.length > 0) {
+                                        state.ct = cts[0];
+                                    }
+                                    return _setGroupState(id, state, options);
+                                }
+
+                                // the ranges of the lights differ, so set each light
+                                return Promise.all(ids
+                                    .map((light, i) => Object.keys(states[i]).length > 0 ? _setLightState(light, states[i], options) : [])
+                                ).then(results => [].concat(...results));
+                            });
+                        },
                         /**
                          * Deletes a group.
                          *
                          * @method deleteGroup
                          * @param {Number} id group ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        deleteGroup: _parametrize(_delete, _groupUrl),
+                        deleteGroup: _uncacheGroup(_parametrize(_delete, _groupUrl)),
+                        /**
+                         * Creates group object (jsHueGroup) with cached attributes and
+                         * state, and methods to manage its lights and class and set
+                         * its state.
+                         *
+                         * Group 0 is the special group of all lights. Its state can be
+                         * set, but it cannot be modified.
+                         *
+                         * @method group
+                         * @param {Number} id group ID
+                         * @return {Object} group object
+                         */
+                        group: id => _group(_user, id),
+                        /**
+                         * Gets rooms as group objects.
+                         *
+                         * @method rooms
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to group objects
+                         */
+                        rooms: options => _user.getGroups(options).then(_checkErrors).then(groups => Object.keys(groups)
+                            .filter(id => groups[id].type === 'Room')
+                            .map(id => _group(_user, id, groups[id]))),
+                        /**
+                         * Gets zones as group objects.
+                         *
+                         * @method zones
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to group objects
+                         */
+                        zones: options => _user.getGroups(options).then(_checkErrors).then(groups => Object.keys(groups)
+                            .filter(id => groups[id].type === 'Zone')
+                            .map(id => _group(_user, id, groups[id]))),
 
                         /* ================================================== */
                         /* Schedules API                                      */
@@ -377,6 +4404,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets schedules.
                          *
                          * @method getSchedules
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getSchedules: _get.bind(null, _schedulesUrl),
@@ -385,6 +4413,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createSchedule
                          * @param {Object} data schedule data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createSchedule: _post.bind(null, _schedulesUrl),
@@ -393,6 +4422,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getSchedule
                          * @param {Number} id schedule ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getSchedule: _parametrize(_get, _scheduleUrl),
@@ -402,6 +4432,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setSchedule
                          * @param {Number} id schedule ID
                          * @param {Object} data schedule data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setSchedule: _parametrize(_put, _scheduleUrl),
@@ -410,9 +4441,63 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method deleteSchedule
                          * @param {Number} id schedule ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteSchedule: _parametrize(_delete, _scheduleUrl),
+                        /**
+                         * Creates a wake-up routine.
+                         *
+                         * The routine is a set of schedules which turn the lights and
+                         * groups on at the lowest brightness and warmest color, and then
+                         * gradually raise the brightness and color temperature so that the
+                         * ramp ends at the given time. Since the bridge caps transition
+                         * times at about 109 minutes, longer ramps are split into steps.
+                         *
+                         * Supported options:
+                         *
+                         * - name: routine name, used to remove its schedules with
+                         *   removeRoutine (default 'Wake up')
+                         * - time: Date or date string when the ramp ends
+                         * - duration: ramp duration in milliseconds (default 30 minutes)
+                         * - lights, groups: IDs of the lights and groups
+                         * - bri: brightness at the start and end (default [1, 254])
+                         * - kelvin: color temperature in Kelvin at the start and end
+                         *   (default [2000, 4000])
+                         * - days: weekday names, or bitmask (Monday 64 to Sunday 1), to
+                         *   repeat the routine weekly, using only the time of day of time
+                         *   (optional)
+                         *
+                         * @method createWakeUp
+                         * @param {Object} options routine options
+                         * @return {Promise} promise resolving to the routine (name, IDs
+                         *     of the schedules, and a remove method)
+                         */
+                        createWakeUp: options => _routine(_user, options, true),
+                        /**
+                         * Creates a wind-down routine.
+                         *
+                         * Like a wake-up routine, but the brightness and color temperature
+                         * are lowered (by default from 254 to 1 and from 4000K to 2000K)
+                         * and the lights and groups are turned off when the ramp ends.
+                         *
+                         * @method createWindDown
+                         * @param {Object} options routine options (see createWakeUp)
+                         * @return {Promise} promise resolving to the routine (name, IDs
+                         *     of the schedules, and a remove method)
+                         */
+                        createWindDown: options => _routine(_user, options, false),
+                        /**
+                         * Deletes the schedules of the routines with the given name.
+                         *
+                         * @method removeRoutine
+                         * @param {String} name routine name
+                         * @return {Promise} promise resolving to the deleted schedule IDs
+                         */
+                        removeRoutine: name => _user.getSchedules()
+                            .then(_checkErrors)
+                            .then(schedules => _deleteSchedules(_user, Object.keys(schedules)
+                                .filter(id => schedules[id].description === `jsHue routine ${name}`))),
                         /**
                          * Creates schedule command generator object.
                          *
@@ -420,8 +4505,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method scheduleCommandGenerator
                          * @return {Object} schedule command generator
                          */
-                        scheduleCommandGenerator: () =>
-                            jsHueAPI(_echo(_baseUrl), Response, JSON, Promise).bridge(ip).user(username),
+                        scheduleCommandGenerator: () => _echoUser('', _address(), username),
 
                         /* ================================================== */
                         /* Scenes API                                         */
@@ -431,6 +4515,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets scenes.
                          *
                          * @method getScenes
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getScenes: _get.bind(null, _scenesUrl),
@@ -439,6 +4524,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createScene
                          * @param {Object} data scene data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createScene: _post.bind(null, _scenesUrl),
@@ -447,6 +4533,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getScene
                          * @param {String} id scene ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getScene: _parametrize(_get, _sceneUrl),
@@ -456,6 +4543,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setScene
                          * @param {String} id scene ID
                          * @param {Object} data scene data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setScene: _parametrize(_put, _sceneUrl),
@@ -466,15 +4554,17 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @param {String} sceneId scene ID
                          * @param {Number} lightId light ID
                          * @param {Object} data scene light state data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        setSceneLightState: (sceneId, lightId, data) =>
-                            _put(`${_sceneUrl(sceneId)}/lightstates/${lightId}`, data),
+                        setSceneLightState: (sceneId, lightId, data, options) =>
+                            _put(`${_sceneUrl(sceneId)}/lightstates/${lightId}`, data, options),
                         /**
                          * Deletes a scene.
                          *
                          * @method deleteScene
                          * @param {String} id scene ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteScene: _parametrize(_delete, _sceneUrl),
@@ -487,6 +4577,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets sensors.
                          *
                          * @method getSensors
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getSensors: _get.bind(null, _sensorsUrl),
@@ -495,6 +4586,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createSensor
                          * @param {Object} data sensor data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createSensor: _post.bind(null, _sensorsUrl),
@@ -502,6 +4594,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Searches for new sensors.
                          *
                          * @method searchForNewSensors
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         searchForNewSensors: _post.bind(null, _sensorsUrl, null),
@@ -509,6 +4602,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets new sensors since last search.
                          *
                          * @method getNewSensors
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getNewSensors: _get.bind(null, `${_sensorsUrl}/new`),
@@ -517,6 +4611,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getSensor
                          * @param {Number} id sensor ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getSensor: _parametrize(_get, _sensorUrl),
@@ -526,6 +4621,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setSensor
                          * @param {Number} id sensor ID
                          * @param {Object} data attribute data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setSensor: _parametrize(_put, _sensorUrl),
@@ -535,6 +4631,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setSensorConfig
                          * @param {Number} id sensor ID
                          * @param {Object} data config data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setSensorConfig: _parametrize(_put, id => `${_sensorUrl(id)}/config`),
@@ -544,6 +4641,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setSensorState
                          * @param {Number} id sensor ID
                          * @param {Object} data state data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setSensorState: _parametrize(_put, id => `${_sensorUrl(id)}/state`),
@@ -554,6 +4652,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method deleteSensor
                          * @param {Number} id sensor ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteSensor: _parametrize(_delete, _sensorUrl),
@@ -566,6 +4665,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets rules.
                          *
                          * @method getRules
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getRules: _get.bind(null, _rulesUrl),
@@ -574,6 +4674,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createRule
                          * @param {Object} data rule data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createRule: _post.bind(null, _rulesUrl),
@@ -582,6 +4683,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getRule
                          * @param {Number} id rule ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getRule: _parametrize(_get, _ruleUrl),
@@ -591,6 +4693,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setRule
                          * @param {Number} id rule ID
                          * @param {Object} data rule data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setRule: _parametrize(_put, _ruleUrl),
@@ -599,6 +4702,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method deleteRule
                          * @param {Number} id rule ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         deleteRule: _parametrize(_delete, _ruleUrl),
@@ -609,8 +4713,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method ruleActionGenerator
                          * @return {Object} rule action generator object
                          */
-                        ruleActionGenerator: () =>
-                            jsHueAPI(_echo(_userUrl), Response, JSON, Promise).bridge(ip).user(username),
+                        ruleActionGenerator: () => _echoUser(_userUrl, _address(), username),
 
                         /* ================================================== */
                         /* Resourcelinks API                                  */
@@ -620,6 +4723,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * Gets all resourcelinks.
                          *
                          * @method getResourceLinks
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getResourceLinks: _get.bind(null, _linksUrl),
@@ -628,6 +4732,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method createResourceLink
                          * @param {Object} data resourcelink data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         createResourceLink: _post.bind(null, _linksUrl),
@@ -636,6 +4741,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method getResourceLink
                          * @param {Number} id resourcelink ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         getResourceLink: _parametrize(_get, _linkUrl),
@@ -645,6 +4751,7 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          * @method setResourceLink
                          * @param {Number} id resourcelink ID
                          * @param {Object} data resourcelink data
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
                         setResourceLink: _parametrize(_put, _linkUrl),
@@ -653,14 +4760,465 @@ var jsHueAPI = (fetch, Response, JSON, Promise) => {
                          *
                          * @method deleteResourceLink
                          * @param {Number} id resourcelink ID
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        deleteResourceLink: _parametrize(_delete, _linkUrl),
+
+                        /* ================================================== */
+                        /* Scheduler                                          */
+                        /* ================================================== */
+
+                        /**
+                         * Gets request queue statistics.
+                         *
+                         * @method getQueueStats
+                         * @return {Object} queue statistics (depth, lights, groups, sent,
+                         * coalesced, dropped), or null if the scheduler is not enabled
+                         */
+                        getQueueStats: () => _queue ? _queue.stats() : null,
+
+                        /* ================================================== */
+                        /* Animations                                         */
+                        /* ================================================== */
+
+                        /**
+                         * Plays an animation of keyframes on lights and groups.
+                         *
+                         * The timeline has the IDs of the lights and groups to animate,
+                         * and keyframes with the state to set (any setLightState and
+                         * setGroupState attributes, including hex, rgb, and kelvin),
+                         * the transition time in milliseconds (transition), and the time
+                         * until the next keyframe in milliseconds (duration, default the
+                         * transition time). State writes are rate limited by the
+                         * scheduler of this user, or a scheduler of the animation if
+                         * the user has none.
+                         *
+                         * The previous state of each light, including the lights of the
+                         * groups, is saved before playing and restored when the animation
+                         * ends or is cancelled. The returned promise resolves to an object
+                         * (cancelled and loops) after restoring, and has methods to pause,
+                         * resume, and cancel the animation, and on and off methods for
+                         * listening to keyframe events (index, loop, and keyframe).
+                         *
+                         * Supported options:
+                         *
+                         * - loop: number of times to play the keyframes, or true to
+                         *   loop until cancelled (default 1)
+                         * - restore: whether to restore the previous states (default true)
+                         * - scheduler: scheduler options (lightRate, groupRate) if the
+                         *   user has no scheduler
+                         *
+                         * @method animate
+                         * @param {Object} timeline timeline (lights, groups, and keyframes)
+                         * @param {Object} options animation options (optional)
+                         * @return {Promise} animation
+                         */
+                        animate: (timeline, options = {}) =>
+                            _animation(_user, _queue ? null : _scheduler(options.scheduler), timeline, options),
+
+                        /**
+                         * Applies a state to lights and groups for a while, then puts
+                         * every light back as it was.
+                         *
+                         * The state of each light, including the lights of the groups,
+                         * is read before applying the temporary state (any setLightState
+                         * and setGroupState attributes). When the duration has passed,
+                         * on, bri and the color attributes of the light's color mode are
+                         * restored. Lights reported as unreachable are neither changed nor
+                         * restored.
+                         *
+                         * @method withTemporaryState
+                         * @param {Object} targets IDs of the lights and groups (lights, groups)
+                         * @param {Object} state temporary state
+                         * @param {Number} durationMs time to keep the state in milliseconds
+                         * @return {Promise} promise resolving to the IDs of the restored
+                         *     and unreachable lights (restored, unreachable)
+                         */
+                        withTemporaryState: (targets, state, durationMs) =>
+                            _temporaryState(_user, targets, state, durationMs),
+
+                        /* ================================================== */
+                        /* Adaptive lighting                                  */
+                        /* ================================================== */
+
+                        /**
+                         * Makes groups follow the sun.
+                         *
+                         * The controller calculates the color temperature and brightness
+                         * for the current elevation of the sun (see hueSun.adaptiveState)
+                         * and sends them to the groups right away and then periodically.
+                         * Lights that are off are left off. Lights whose state was changed
+                         * since the last update are considered manually overridden and
+                         * are skipped until they are turned off; groups with overridden
+                         * lights or lights that are off are updated light by light.
+                         *
+                         * The controller emits 'update' events (date, ct, bri, elevation,
+                         * IDs of the updated and overridden lights) and 'error' events.
+                         *
+                         * Supported options:
+                         *
+                         * - latitude, longitude: location in degrees
+                         * - groups: IDs of the groups
+                         * - interval: update interval in milliseconds (default 60000)
+                         * - transition: transition time in milliseconds (default 4000)
+                         * - kelvin, bri: values at night and at day (see
+                         *   hueSun.adaptiveState)
+                         *
+                         * @method adaptiveLighting
+                         * @param {Object} options controller options
+                         * @return {Object} controller (on, off, update, and stop)
+                         */
+                        adaptiveLighting: options => _adaptiveLighting(_user, options),
+
+                        /* ================================================== */
+                        /* Watcher                                            */
+                        /* ================================================== */
+
+                        /**
+                         * Watches for changes by polling the bridge.
+                         *
+                         * The watcher polls the full state, or only the given resource
+                         * collections, and compares each result with the previous one.
+                         * For each changed resource it emits a 'change' event, and
+                         * depending on the change one or more of the following events:
+                         *
+                         * - light:state
+                         * - sensor:state, sensor:presence, sensor:buttonevent
+                         * - group:action, group:any_on, group:all_on
+                         *
+                         * These events have the resource kind, id, previous and current
+                         * resource, and changes (path, previous, and current value).
+                         * The watcher also emits 'resource:added' and 'resource:removed'
+                         * events (kind, id, and resource), 'poll' events with each
+                         * result, and 'error' events (including bridge errors, which are
+                         * always rejected when polling).
+                         *
+                         * Supported options:
+                         *
+                         * - interval: polling interval in milliseconds (default 1000)
+                         * - resources: resource collections to poll, e.g. ['lights',
+                         *   'sensors'] (default full state)
+                         *
+                         * @method watch
+                         * @param {Object} options watcher options (optional)
+                         * @return {Object} watcher (on, off, and stop)
+                         */
+                        watch: (options = {}) => {
+                            var resources = options.resources,
+                                poll = resources
+                                    ? () => Promise.all(resources.map(r => _get(`${_userUrl}/${r}`).then(_checkErrors)))
+                                        .then(results => results.reduce((state, result, i) =>
+                                            Object.assign(state, { [resources[i]]: result }), {}))
+                                    : () => _get(_userUrl).then(_checkErrors);
+
+                            return _watcher(poll, options.interval || 1000);
+                        }
+                    };
+
+                    return _user;
+                },
+                /**
+                 * Creates CLIP API v2 object (jsHueV2).
+                 *
+                 * @method v2
+                 * @param {String} appKey application key (username)
+                 * @return {Object} CLIP API v2 object
+                 */
+                v2: appKey => {
+                    /**
+                     * CLIP API v2 object.
+                     *
+                     * Requests are made over HTTPS with the application key in the
+                     * hue-application-key header, and resolve to the v2 response data
+                     * object ({errors, data}).
+                     *
+                     * Besides the generic resource methods below, methods are
+                     * generated for each resource type in _v2Resources. For example,
+                     * for scenes:
+                     *
+                     * - getScenes(options)
+                     * - getScene(id, options)
+                     * - setScene(id, data, options)
+                     * - createScene(data, options)
+                     * - deleteScene(id, options)
+                     *
+                     * @class jsHueV2
+                     */
+                    var {_get, _put, _post, _delete} = _at(true);
+
+                    var _resourceUrl = '/clip/v2/resource',
+                        _typeUrl = type => `${_resourceUrl}/${type}`,
+                        _idUrl = (type, id) => `${_typeUrl(type)}/${id}`;
+
+                    var _auth = (options = {}) => Object.assign({}, options, {
+                        headers: Object.assign({}, options.headers, { 'hue-application-key': appKey })
+                    });
+
+                    var v2 = {
+                        /**
+                         * Gets all resources.
+                         *
+                         * @method getResources
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        getResources: options => _get(_resourceUrl, _auth(options)),
+                        /**
+                         * Gets resources of a type.
+                         *
+                         * @method getResourcesByType
+                         * @param {String} type resource type
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        getResourcesByType: (type, options) => _get(_typeUrl(type), _auth(options)),
+                        /**
+                         * Gets a resource.
+                         *
+                         * @method getResource
+                         * @param {String} type resource type
+                         * @param {String} id resource ID
+                         * @param {Object} options request options (optional)
                          * @return {Promise} promise resolving to response data object
                          */
-                        deleteResourceLink: _parametrize(_delete, _linkUrl)
+                        getResource: (type, id, options) => _get(_idUrl(type, id), _auth(options)),
+                        /**
+                         * Creates a resource.
+                         *
+                         * @method createResource
+                         * @param {String} type resource type
+                         * @param {Object} data resource data
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        createResource: (type, data, options) => _post(_typeUrl(type), data, _auth(options)),
+                        /**
+                         * Sets resource attributes.
+                         *
+                         * @method setResource
+                         * @param {String} type resource type
+                         * @param {String} id resource ID
+                         * @param {Object} data resource data
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        setResource: (type, id, data, options) => _put(_idUrl(type, id), data, _auth(options)),
+                        /**
+                         * Deletes a resource.
+                         *
+                         * @method deleteResource
+                         * @param {String} type resource type
+                         * @param {String} id resource ID
+                         * @param {Object} options request options (optional)
+                         * @return {Promise} promise resolving to response data object
+                         */
+                        deleteResource: (type, id, options) => _delete(_idUrl(type, id), _auth(options)),
+                        /**
+                         * Subscribes to the bridge event stream.
+                         *
+                         * The returned subscription emits an event for each resource
+                         * in the stream's add, update, and delete events, both under
+                         * the event type and under 'event'. The event object has the
+                         * type, id, creationtime, and resource. The subscription also
+                         * emits 'open', 'error', and 'close' events. It reconnects
+                         * automatically, with Last-Event-ID, until closed.
+                         *
+                         * The subscription is an async iterable of events as well.
+                         *
+                         * Supported options:
+                         *
+                         * - types: resource types to include (default all)
+                         * - ids: resource IDs to include (default all)
+                         * - reconnectDelay: initial reconnection delay in milliseconds,
+                         *   doubled on consecutive failures (default 1000)
+                         * - maxReconnectDelay: maximum reconnection delay in
+                         *   milliseconds (default 30000)
+                         *
+                         * @method events
+                         * @param {Object} options subscription options (optional)
+                         * @return {Object} subscription (on, off, and close)
+                         */
+                        events: options => {
+                            var host = null;
+
+                            // moves to the new host after connection failures
+                            var url = error => (host && error ? _relocate(host, error).catch(() => host) : _host())
+                                .then(h => `https://${host = h}/eventstream/clip/v2`);
+
+                            return _eventStream(url, { 'hue-application-key': appKey },
+                                Object.assign({ agent: _settings.agent }, options));
+                        }
                     };
+
+                    _v2Resources.forEach(([type, singular, plural, creatable, deletable]) => {
+                        v2[`get${plural}`] = v2.getResourcesByType.bind(null, type);
+                        v2[`get${singular}`] = v2.getResource.bind(null, type);
+                        v2[`set${singular}`] = v2.setResource.bind(null, type);
+
+                        if(creatable) {
+                            v2[`create${singular}`] = v2.createResource.bind(null, type);
+                        }
+                        if(deletable) {
+                            v2[`delete${singular}`] = v2.deleteResource.bind(null, type);
+                        }
+                    });
+
+                    return v2;
                 }
             };
+
+            _locators.set(_bridge, locator => {
+                _locator = locator;
+            });
+
+            return _bridge;
+        },
+        /**
+         * Creates bridge object (jsHueBridge) tracking the bridge IP address by
+         * bridge ID.
+         *
+         * The IP address is located on the first request, unless given, by
+         * discovering bridges and verifying their bridge ID via /api/config.
+         * When a request fails with a network error or times out, the bridge
+         * is located again and the request is retried at the new IP address,
+         * which is used for all subsequent requests of the bridge and its
+         * users, including CLIP API v2 requests and event stream connections.
+         *
+         * Supported options, besides discovery and bridge options:
+         *
+         * - ip: last known IP address of the bridge (optional)
+         *
+         * Besides the methods of jsHueBridge, the bridge object has getIp,
+         * returning the current IP address or null, and locate, locating the
+         * bridge and returning a promise resolving to its IP address.
+         *
+         * @method bridgeById
+         * @param {String} bridgeId bridge ID
+         * @param {Object} options options (optional)
+         * @return {Object} bridge object
+         */
+        bridgeById: (bridgeId, options = {}) => {
+            var id = String(bridgeId).toLowerCase(),
+                _ip = options.ip || null,
+                bridge = _instance.bridge(_ip, options),
+                settings = Object.assign({}, _options, options),
+                _locating = null;
+
+            // probes with the scheme and agent of the bridge
+            var probe = _requester(settings, () => _middleware)._get;
+
+            var verify = ip => probe(`${settings.https ? 'https' : 'http'}://${ip}/api/config`, { timeout: options.timeout || 1500, retry: false }).then(
+                data => data && String(data.bridgeid).toLowerCase() === id ? ip : null,
+                () => null);
+
+            // concurrent failures share a single discovery
+            var locate = () => _locating = _locating || _instance.discover(Object.assign({ methods: ['nupnp'] }, options)).then(bridges => {
+                var matches = bridges.filter(b => String(b.id).toLowerCase() === id),
+                    others = bridges.filter(b => matches.indexOf(b) < 0);
+
+                return matches.concat(others).reduce((found, b) =>
+                    found.then(ip => ip || verify(b.internalipaddress)), Promise.resolve(null));
+            }).then(ip => {
+                _locating = null;
+                if(!ip) {
+                    throw new HueError(`Bridge not found: ${bridgeId}`);
+                }
+                return _ip = ip;
+            }, error => {
+                _locating = null;
+                throw error;
+            });
+
+            _locators.get(bridge)({
+                host: () => _ip ? Promise.resolve(_ip) : locate(),
+                address: () => _ip,
+                relocate: (ip, error) => {
+                    if(!(error instanceof TypeError || error instanceof HueTimeoutError)) {
+                        return Promise.reject(error);
+                    }
+                    return locate().then(found => {
+                        if(found === ip) {
+                            throw error;
+                        }
+                        return found;
+                    }, () => {
+                        throw error;
+                    });
+                }
+            });
+
+            return Object.assign(bridge, {
+                /**
+                 * Gets the current IP address of the bridge.
+                 *
+                 * @method getIp
+                 * @return {String} IP address, or null if not located yet
+                 */
+                getIp: () => _ip,
+                /**
+                 * Locates the bridge.
+                 *
+                 * @method locate
+                 * @return {Promise} promise resolving to IP address
+                 */
+                locate
+            });
+        },
+        /**
+         * Connects to a bridge by bridge ID.
+         *
+         * Discovers the bridge, looks up its credentials in the credential
+         * store, and pairs with the bridge if there are none, saving the new
+         * credentials in the store. The user object tracks the bridge IP
+         * address like bridgeById.
+         *
+         * Supported options, besides discovery and user options:
+         *
+         * - store: credential store (default from jsHue options)
+         * - devicetype: device type for pairing
+         * - timeoutMs, intervalMs, generateClientKey: pairing options
+         * - onPairProgress: function called with pairing progress events
+         *
+         * @method connect
+         * @param {String} bridgeId bridge ID
+         * @param {Object} options options (optional)
+         * @return {Promise} promise resolving to user object (jsHueUser)
+         */
+        connect: (bridgeId, options = {}) => {
+            var store = options.store || _options.store,
+                id = String(bridgeId).toLowerCase();
+
+            return _instance.discover(Object.assign({ methods: ['nupnp'] }, options)).then(bridges => {
+                var found = bridges.find(b => String(b.id).toLowerCase() === id);
+
+                if(!found) {
+                    throw new HueError(`Bridge not found: ${bridgeId}`);
+                }
+
+                var bridge = _instance.bridgeById(id, Object.assign({}, options, { ip: found.internalipaddress }));
+
+                return store.get(id).then(credentials => {
+                    if(credentials) {
+                        return credentials;
+                    }
+
+                    var pairing = bridge.pair(_pick(options, ['devicetype', 'timeoutMs', 'intervalMs', 'generateClientKey', 'signal']));
+
+                    if(options.onPairProgress) {
+                        pairing.on('progress', options.onPairProgress);
+                    }
+                    return pairing.then(result => {
+                        var credentials = typeof result === 'string' ? { username: result } : result;
+
+                        return store.set(id, credentials).then(() => credentials);
+                    });
+                }).then(credentials => bridge.user(credentials.username, options));
+            });
         }
     };
+
+    return _instance;
 };
 
 if(typeof fetch !== 'undefined' && typeof Response !== 'undefined'
@@ -671,10 +5229,38 @@ if(typeof fetch !== 'undefined' && typeof Response !== 'undefined'
      * @class jsHue
      * @extends jsHueAPI
      * @constructor
+     * @param {Object} options options (optional)
      * @return {Object} instance
      */
     var jsHue = jsHueAPI.bind(null, fetch, Response, JSON, Promise);
 
+    Object.assign(jsHue, {
+        HueError,
+        HueApiError,
+        HueUnauthorizedUserError,
+        HueInvalidJsonError,
+        HueResourceNotAvailableError,
+        HueMethodNotAvailableError,
+        HueMissingParametersError,
+        HueParameterNotAvailableError,
+        HueInvalidValueError,
+        HueParameterNotModifiableError,
+        HueLinkButtonNotPressedError,
+        HueDeviceOffError,
+        HueBridgeInternalError,
+        HueHttpError,
+        HueTimeoutError,
+        HueAbortError,
+        HueQueueFullError,
+        memoryStore,
+        fileStore,
+        localStorageStore,
+        bridgeAgent,
+        color: hueColor,
+        sun: hueSun,
+        time: hueTime
+    });
+
     // Try to export to be used as a module via a bundler
     if(typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
         module.exports = jsHue;
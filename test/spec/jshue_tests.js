@@ -5,6 +5,92 @@ describe('jsHue', () => {
     var fetchSpy = response => jasmine.createSpy('fetch', fetch)
                                     .and.callFake(() => Promise.resolve(new Response(JSON.stringify(response))));
 
+    var fetchRoute = route => jasmine.createSpy('fetch', fetch)
+                                    .and.callFake((url, init) => Promise.resolve(route(url, init))
+                                        .then(data => data instanceof Response ? data : new Response(JSON.stringify(data))));
+
+    // Stand-in for a v1 bridge serving the given resources (functions are called per
+    // request), acknowledging writes key by key and failing writes to one address.
+    // Like a real bridge, it tracks which lights are on (also through group writes)
+    // and rejects writes other than on to lights that are off
+    var fakeBridge = (resources, failing = null) => {
+        var address = url => url.replace(/^\w+:\/\/[^/]+\/api\/[^/]+/, ''),
+            lookup = path => path.split('/').slice(1).reduce((data, key) => data && (typeof data[key] === 'function' ? data[key]() : data[key]), resources),
+            power = {},
+            fetch = fetchRoute((url, init) => {
+                var path = address(url),
+                    body = JSON.parse(init.body),
+                    light = (path.match(/^\/lights\/([^/]+)\/state$/) || [])[1],
+                    group = (path.match(/^\/groups\/([^/]+)\/action$/) || [])[1],
+                    off = light && body.on !== true && (light in power ? !power[light] : lookup(`/lights/${light}/state/on`) === false);
+
+                if(init.method === 'GET') {
+                    return lookup(path);
+                }
+                if(path === failing) {
+                    return [{ error: { type: 201, address: path, description: 'device is off' } }];
+                }
+                if('on' in body) {
+                    (light ? [light] : group ? lookup(`/groups/${group}/lights`) || [] : []).forEach(id => power[id] = body.on);
+                }
+                return Object.keys(body).map(k => off && k !== 'on'
+                    ? { error: { type: 201, address: `${path}/${k}`, description: `parameter, ${k}, is not modifiable. Device is set to off.` } }
+                    : { success: { [`${path}/${k}`]: body[k] } });
+            });
+
+        // state writes as [address, body] pairs
+        fetch.writes = () => fetch.calls.allArgs()
+            .filter(([url, init]) => init.method === 'PUT')
+            .map(([url, init]) => [address(url), JSON.parse(init.body)]);
+
+        return fetch;
+    };
+
+    // Stand-in for Node's dgram module, answering queries with the given responses
+    var fakeDgram = (...responses) => {
+        var dgram = {
+            sockets: [],
+            createSocket: jasmine.createSpy('createSocket').and.callFake(() => {
+                var listeners = {},
+                    socket = {
+                        on: (event, fn) => { listeners[event] = fn; },
+                        bind: fn => setTimeout(fn, 0),
+                        send: jasmine.createSpy('send').and.callFake((message, port, address, fn) => {
+                            responses.forEach(r => setTimeout(() => listeners.message(r, { address: '192.168.1.100', port: 5353 }), 0));
+                            fn(null);
+                        }),
+                        close: jasmine.createSpy('close')
+                    };
+
+                dgram.sockets.push(socket);
+                return socket;
+            })
+        };
+        return dgram;
+    };
+
+    // Stand-in for Node's https module creating sockets presenting the given certificate
+    var fakeHttps = cert => {
+        var socket = {
+            listeners: {},
+            once: (event, fn) => socket.listeners[event] = fn,
+            getPeerCertificate: () => cert,
+            destroy: jasmine.createSpy('destroy')
+        };
+
+        return {
+            socket,
+            Agent: class {
+                constructor(options) {
+                    this.options = options;
+                }
+                createConnection() {
+                    return socket;
+                }
+            }
+        };
+    };
+
     it('discovers bridges', done => {
         const UPNP_URL = 'https://www.meethue.com/api/nupnp';
 
@@ -19,23 +105,1385 @@ describe('jsHue', () => {
         });
     });
 
-    describe('jsHueBridge', () => {
-        const BRIDGE_IP = '192.168.1.100',
-                BRIDGE_URL = `http://${BRIDGE_IP}/api`;
+    describe('mDNS discovery', () => {
+        const UPNP_URL = 'https://www.meethue.com/api/nupnp',
+                INSTANCE = 'Philips Hue - 1A2B3C._hue._tcp.local',
+                HOST = '001788fffe1a2b3c.local';
+
+        var bytes = text => Array.from(text).map(c => c.charCodeAt(0)),
+            dnsName = name => name.split('.').reduce((b, l) => b.concat([l.length], bytes(l)), []).concat([0]),
+            u16 = n => [n >> 8, n & 0xff],
+            record = (name, type, rdata) => dnsName(name).concat(u16(type), u16(1), [0, 0, 0, 120], u16(rdata.length), rdata),
+            dnsResponse = (...records) => new Uint8Array([0, 0, 0x84, 0, 0, 0].concat(u16(records.length), [0, 0, 0, 0], ...records));
+
+        // PTR data is a label plus a compression pointer to the first record name (_hue._tcp.local)
+        var ptr = record('_hue._tcp.local', 12, [20].concat(bytes('Philips Hue - 1A2B3C'), [0xc0, 12])),
+            srv = record(INSTANCE, 33, [0, 0, 0, 0].concat(u16(443), dnsName(HOST))),
+            txt = record(INSTANCE, 16, ['bridgeid=001788fffe1a2b3c', 'modelid=BSB002'].reduce((b, t) => b.concat([t.length], bytes(t)), [])),
+            a = record(HOST, 1, [192, 168, 1, 100]);
+
+        var bridge = {
+            id: '001788fffe1a2b3c',
+            internalipaddress: '192.168.1.100',
+            port: 443,
+            name: 'Philips Hue - 1A2B3C',
+            modelid: 'BSB002'
+        };
+
+        it('discovers bridges by multicast DNS', done => {
+            var dgram = fakeDgram(dnsResponse(ptr, srv, txt, a)),
+                fetch = fetchSpy([]),
+                hue = jsHueAPI(fetch, Response, JSON, Promise, { dgram });
+
+            hue.discover({ methods: ['mdns'], wait: 10 }).then(data => {
+                var socket = dgram.sockets[0],
+                    query = Array.from(socket.send.calls.mostRecent().args[0]);
+
+                expect(data).toEqual([bridge]);
+                expect(fetch).not.toHaveBeenCalled();
+                expect(socket.send).toHaveBeenCalledWith(jasmine.any(Uint8Array), 5353, '224.0.0.251', jasmine.any(Function));
+                expect(query.slice(12)).toEqual(dnsName('_hue._tcp.local').concat([0, 12, 0, 1]));
+                expect(socket.close).toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('combines records from several responses', done => {
+            var dgram = fakeDgram(dnsResponse(ptr), dnsResponse(srv, txt), dnsResponse(a), new Uint8Array([1, 2, 3])),
+                hue = jsHue(fetchSpy([]));
+
+            hue.discover({ methods: ['mdns'], dgram, wait: 10 }).then(data => {
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('merges results with N-UPnP', done => {
+            var response = [
+                    {"id":"001788FFFE1A2B3C","internalipaddress":"192.168.1.100"},
+                    {"id":"001788fffe000001","internalipaddress":"192.168.1.101"}
+                ],
+                fetch = fetchSpy(response),
+                hue = jsHue(fetch);
+
+            hue.discover({ methods: ['mdns', 'nupnp'], dgram: fakeDgram(dnsResponse(ptr, srv, txt, a)), wait: 10 }).then(data => {
+                expect(fetch).toHaveBeenCalledWith(UPNP_URL, jasmine.objectContaining({ method: 'GET' }));
+                expect(data).toEqual([bridge, response[1]]);
+                done();
+            });
+        });
+
+        it('passes only request options to N-UPnP', done => {
+            var hue = jsHue(fetchSpy([])),
+                requests = [];
+
+            hue.use((request, next) => {
+                requests.push(request);
+                return next();
+            });
+            hue.discover({ methods: ['nupnp', 'scan'], cidr: '192.168.1.0/30', wait: 10, timeout: 10, retry: false }).then(() => {
+                expect(requests[0].url).toBe(UPNP_URL);
+                expect(requests[0].options).toEqual({ retry: false });
+                done();
+            });
+        });
+
+        it('resolves with the methods which succeed', done => {
+            var response = [{"id":"001788fffe000001","internalipaddress":"192.168.1.101"}],
+                hue = jsHue(fetchSpy(response));
+
+            hue.discover({ methods: ['mdns', 'nupnp'] }).then(data => {
+                expect(data).toEqual(response);
+                done();
+            });
+        });
+
+        it('rejects when all methods fail', done => {
+            var hue = jsHue(fetchSpy([]));
+
+            hue.discover({ methods: ['mdns'] }).then(
+                () => {
+                    fail('This should not be called');
+                    done();
+                },
+                e => {
+                    expect(e).toEqual(jasmine.any(HueError));
+                    done();
+                }
+            );
+        });
+    });
+
+    describe('SSDP discovery', () => {
+        var ssdpResponse = (ip, bridgeid) => new Uint8Array(Array.from([
+            'HTTP/1.1 200 OK',
+            'HOST: 239.255.255.250:1900',
+            'EXT:',
+            'CACHE-CONTROL: max-age=100',
+            `LOCATION: http://${ip}:80/description.xml`,
+            'SERVER: Linux/3.14.0 UPnP/1.0 IpBridge/1.26.0',
+            bridgeid ? `hue-bridgeid: ${bridgeid}` : 'X-Other: 1',
+            'ST: upnp:rootdevice',
+            'USN: uuid:2f402f80-da50-11e1-9b23-001788255acc::upnp:rootdevice',
+            '', ''
+        ].join('\r\n')).map(c => c.charCodeAt(0)));
+
+        var otherResponse = new Uint8Array(Array.from('HTTP/1.1 200 OK\r\nLOCATION: http://192.168.1.50:49152/rootDesc.xml\r\nSERVER: Linux UPnP/1.0 MiniUPnPd/2.0\r\n\r\n').map(c => c.charCodeAt(0)));
+
+        var description = serial => `<?xml version="1.0" encoding="UTF-8" ?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+<URLBase>http://192.168.1.100:80/</URLBase>
+<device>
+<deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType>
+<friendlyName>Philips hue (192.168.1.100)</friendlyName>
+<modelName>Philips hue bridge 2015</modelName>
+<modelNumber>BSB002</modelNumber>
+<serialNumber>${serial}</serialNumber>
+</device>
+</root>`;
+
+        var descriptionFetch = () => fetchRoute(url => url === 'http://192.168.1.100:80/description.xml'
+            ? new Response(description('001788255acc'))
+            : new Response('Not found', { status: 404 }));
+
+        var bridge = {
+            id: '001788fffe255acc',
+            internalipaddress: '192.168.1.100',
+            port: 80,
+            firmware: '1.26.0',
+            friendlyname: 'Philips hue (192.168.1.100)',
+            modelname: 'Philips hue bridge 2015',
+            modelnumber: 'BSB002',
+            serialnumber: '001788255acc'
+        };
+
+        it('discovers bridges by SSDP', done => {
+            var dgram = fakeDgram(ssdpResponse('192.168.1.100', '001788FFFE255ACC'), otherResponse),
+                fetch = descriptionFetch(),
+                hue = jsHueAPI(fetch, Response, JSON, Promise, { dgram });
+
+            hue.discover({ methods: ['ssdp'], wait: 10 }).then(data => {
+                var socket = dgram.sockets[0],
+                    search = String.fromCharCode.apply(null, socket.send.calls.mostRecent().args[0]);
+
+                expect(socket.send).toHaveBeenCalledWith(jasmine.any(Uint8Array), 1900, '239.255.255.250', jasmine.any(Function));
+                expect(search).toMatch(/^M-SEARCH \* HTTP\/1.1\r\n/);
+                expect(search).toContain('MAN: "ssdp:discover"\r\n');
+                expect(fetch.calls.count()).toBe(1);
+                expect(fetch).toHaveBeenCalledWith('http://192.168.1.100:80/description.xml', jasmine.objectContaining({ method: 'GET', body: null }));
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('deduplicates responses and derives bridge ids from serial numbers', done => {
+            var dgram = fakeDgram(ssdpResponse('192.168.1.100'), ssdpResponse('192.168.1.100')),
+                fetch = descriptionFetch(),
+                hue = jsHueAPI(fetch, Response, JSON, Promise, { dgram });
+
+            hue.discover({ methods: ['ssdp'], wait: 10 }).then(data => {
+                expect(fetch.calls.count()).toBe(1);
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('returns bridges whose description cannot be fetched', done => {
+            var dgram = fakeDgram(ssdpResponse('192.168.1.101', '001788FFFE000001')),
+                hue = jsHueAPI(descriptionFetch(), Response, JSON, Promise, { dgram });
+
+            hue.discover({ methods: ['ssdp'], wait: 10 }).then(data => {
+                expect(data).toEqual([{ id: '001788fffe000001', internalipaddress: '192.168.1.101', port: 80, firmware: '1.26.0' }]);
+                done();
+            });
+        });
+
+        it('fetches descriptions through middleware with a timeout', done => {
+            var dgram = fakeDgram(ssdpResponse('192.168.1.100', '001788FFFE255ACC')),
+                fetch = fetchRoute(() => new Promise(() => {})),
+                hue = jsHueAPI(fetch, Response, JSON, Promise, { dgram }),
+                middleware = jasmine.createSpy('middleware').and.callFake((request, next) => next());
+
+            hue.use(middleware);
+            hue.discover({ methods: ['ssdp'], wait: 10, timeout: 10 }).then(data => {
+                expect(middleware).toHaveBeenCalledWith(jasmine.objectContaining({ method: 'GET', url: 'http://192.168.1.100:80/description.xml' }), jasmine.any(Function));
+                expect(data).toEqual([{ id: '001788fffe255acc', internalipaddress: '192.168.1.100', port: 80, firmware: '1.26.0' }]);
+                done();
+            });
+        });
+    });
+
+    describe('subnet scan discovery', () => {
+        var config = {
+            name: 'Philips hue',
+            bridgeid: '001788FFFE255ACC',
+            modelid: 'BSB002',
+            apiversion: '1.26.0'
+        };
+
+        // bridge at .100, a web server without JSON at .98, nothing elsewhere
+        var scanFetch = (hang = []) => fetchRoute(url => {
+            var ip = url.split('/')[2];
+
+            if(hang.indexOf(ip) >= 0) {
+                return new Promise(() => {});
+            }
+            return new Promise((resolve, reject) => setTimeout(() => {
+                if(ip === '192.168.1.100') {
+                    resolve(new Response(JSON.stringify(config)));
+                }
+                else if(ip === '192.168.1.98') {
+                    resolve(new Response('<html></html>', { status: 404 }));
+                }
+                else {
+                    reject(new TypeError('Failed to fetch'));
+                }
+            }, 1));
+        });
+
+        var bridge = { id: '001788fffe255acc', internalipaddress: '192.168.1.100', name: 'Philips hue', modelid: 'BSB002' };
+
+        it('probes each host of the range', done => {
+            var fetch = scanFetch(),
+                onProgress = jasmine.createSpy('onProgress');
+
+            jsHue(fetch).discover({ methods: ['scan'], cidr: '192.168.1.96/29', onProgress }).then(data => {
+                expect(fetch.calls.allArgs().map(args => args[0])).toEqual([97, 98, 99, 100, 101, 102].map(n => `http://192.168.1.${n}/api/config`));
+                expect(data).toEqual([bridge]);
+                expect(onProgress.calls.count()).toBe(6);
+                expect(onProgress.calls.mostRecent().args[0]).toEqual({ scanned: 6, total: 6, bridges: [bridge] });
+                done();
+            });
+        });
+
+        it('limits concurrent probes', done => {
+            var active = 0, peak = 0,
+                inner = scanFetch(),
+                fetch = (url, init) => {
+                    peak = Math.max(peak, ++active);
+                    return inner(url, init).then(
+                        response => { active--; return response; },
+                        error => { active--; throw error; });
+                };
+
+            jsHue(fetch).discover({ methods: ['scan'], cidr: '192.168.1.96/28', concurrency: 3 }).then(data => {
+                expect(inner.calls.count()).toBe(14);
+                expect(peak).toBe(3);
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('skips hosts that time out', done => {
+            var fetch = scanFetch(['192.168.1.97']);
+
+            jsHue(fetch).discover({ methods: ['scan'], cidr: '192.168.1.96/29', timeout: 20 }).then(data => {
+                expect(fetch.calls.count()).toBe(6);
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('stops scanning when aborted', done => {
+            var controller = new AbortController(),
+                fetch = scanFetch(),
+                onProgress = jasmine.createSpy('onProgress').and.callFake(() => controller.abort());
+
+            jsHue(fetch).discover({ methods: ['scan'], cidr: '192.168.1.0/24', concurrency: 2, signal: controller.signal, onProgress }).catch(error => {
+                expect(error).toEqual(jasmine.any(HueAbortError));
+                expect(fetch.calls.count()).toBe(2);
+                expect(onProgress.calls.count()).toBe(1);
+                done();
+            });
+        });
+
+        it('disables the probe timeout with 0', done => {
+            var fetch = scanFetch();
+
+            jsHue(fetch).discover({ methods: ['scan'], cidr: '192.168.1.100/32', timeout: 0 }).then(data => {
+                expect(fetch).toHaveBeenCalledWith('http://192.168.1.100/api/config', { method: 'GET', body: null });
+                expect(data).toEqual([bridge]);
+                done();
+            });
+        });
+
+        it('rejects invalid ranges', done => {
+            var hue = jsHue(scanFetch());
+
+            Promise.all(['192.168.1.0/8', '192.168.300.0/24', 'bridge', undefined].map(cidr =>
+                hue.discover({ methods: ['scan'], cidr }).catch(error => error)
+            )).then(errors => {
+                expect(errors.every(e => e instanceof HueError)).toBe(true);
+                done();
+            });
+        });
+    });
+
+    describe('credential stores', () => {
+        var credentials = { username: '83b7780291a6ceffbe0bd049104df' };
+
+        var behavesLikeStore = create => {
+            it('gets, sets, and deletes credentials by bridge ID', done => {
+                var store = create();
+
+                store.get('001788fffe255acc')
+                    .then(found => expect(found).toBeNull())
+                    .then(() => store.set('001788FFFE255ACC', credentials))
+                    .then(() => store.get('001788fffe255acc'))
+                    .then(found => expect(found).toEqual(credentials))
+                    .then(() => store.delete('001788fffe255acc'))
+                    .then(() => store.get('001788fffe255acc'))
+                    .then(found => {
+                        expect(found).toBeNull();
+                        done();
+                    });
+            });
+
+            it('keeps concurrent updates', done => {
+                var store = create();
+
+                Promise.all([
+                    store.set('001788fffe000001', { username: 'a' }),
+                    store.set('001788fffe000002', { username: 'b' })
+                ]).then(() => Promise.all([store.get('001788fffe000001'), store.get('001788fffe000002')])).then(found => {
+                    expect(found).toEqual([{ username: 'a' }, { username: 'b' }]);
+                    done();
+                });
+            });
+        };
+
+        describe('in memory', () => {
+            behavesLikeStore(() => memoryStore());
+
+            it('has initial credentials', done => {
+                memoryStore({ '001788FFFE255ACC': credentials }).get('001788fffe255acc').then(found => {
+                    expect(found).toEqual(credentials);
+                    done();
+                });
+            });
+        });
+
+        describe('in a JSON file', () => {
+            // Stand-in for Node's fs module with in-memory files
+            var fakeFs = (files = {}) => ({
+                files,
+                readFile: (path, encoding, callback) => setTimeout(() => path in files
+                    ? callback(null, files[path])
+                    : callback(Object.assign(new Error('no such file'), { code: 'ENOENT' }))),
+                writeFile: (path, data, encoding, callback) => setTimeout(() => {
+                    files[path] = data;
+                    callback(null);
+                })
+            });
+
+            behavesLikeStore(() => fileStore('hue.json', fakeFs()));
+
+            it('saves credentials as JSON', done => {
+                var fs = fakeFs();
+
+                fileStore('hue.json', fs).set('001788fffe255acc', credentials).then(() => {
+                    expect(JSON.parse(fs.files['hue.json'])).toEqual({ '001788fffe255acc': credentials });
+                    done();
+                });
+            });
+
+            it('rejects invalid files', done => {
+                fileStore('hue.json', fakeFs({ 'hue.json': 'not json' })).get('001788fffe255acc').catch(error => {
+                    expect(error).toEqual(jasmine.any(SyntaxError));
+                    done();
+                });
+            });
+        });
+
+        describe('in Web Storage', () => {
+            var fakeStorage = () => {
+                var items = {};
+
+                return {
+                    items,
+                    getItem: key => key in items ? items[key] : null,
+                    setItem: (key, value) => items[key] = String(value)
+                };
+            };
+
+            behavesLikeStore(() => localStorageStore(fakeStorage()));
+
+            it('saves credentials under a key', done => {
+                var storage = fakeStorage();
+
+                localStorageStore(storage, 'myapp').set('001788fffe255acc', credentials).then(() => {
+                    expect(JSON.parse(storage.items.myapp)).toEqual({ '001788fffe255acc': credentials });
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('bridge by ID', () => {
+        const NUPNP_URL = 'https://www.meethue.com/api/nupnp',
+                BRIDGE_ID = '001788fffe255acc',
+                USER = '83b7780291a6ceffbe0bd049104df';
+
+        // Network where the bridge answers at the given IP, and another bridge at 192.168.1.50
+        var network = (ip, portal) => {
+            var fetch = fetchRoute(url => {
+                var host = url.split('/')[2];
+
+                if(url === NUPNP_URL) {
+                    return portal || [{ id: BRIDGE_ID, internalipaddress: fetch.ip }];
+                }
+                if(host === '192.168.1.50' && url.endsWith('/api/config')) {
+                    return { bridgeid: '001788FFFE000001' };
+                }
+                if(host !== fetch.ip) {
+                    return Promise.reject(new TypeError('Failed to fetch'));
+                }
+                if(url.endsWith('/eventstream/clip/v2')) {
+                    return new Response(new ReadableStream());
+                }
+                return url.endsWith('/api/config') ? { bridgeid: BRIDGE_ID.toUpperCase() } : { state: { on: true } };
+            });
+
+            fetch.ip = ip;
+            return fetch;
+        };
+
+        var urls = fetch => fetch.calls.allArgs().map(args => args[0]);
+
+        it('locates the bridge on the first request', done => {
+            var fetch = network('192.168.1.100'),
+                bridge = jsHue(fetch).bridgeById(BRIDGE_ID.toUpperCase());
+
+            expect(bridge.getIp()).toBeNull();
+            bridge.user(USER).getLight(1).then(data => {
+                expect(urls(fetch)).toEqual([
+                    NUPNP_URL,
+                    'http://192.168.1.100/api/config',
+                    `http://192.168.1.100/api/${USER}/lights/1`
+                ]);
+                expect(data).toEqual({ state: { on: true } });
+                expect(bridge.getIp()).toBe('192.168.1.100');
+                done();
+            });
+        });
+
+        it('follows the bridge to a new IP address', done => {
+            var fetch = network('192.168.1.100'),
+                bridge = jsHue(fetch).bridgeById(BRIDGE_ID, { ip: '192.168.1.100' }),
+                user = bridge.user(USER);
+
+            user.getLight(1).then(() => {
+                fetch.ip = '192.168.1.120';
+                fetch.calls.reset();
+                return user.getLight(1);
+            }).then(data => {
+                expect(data).toEqual({ state: { on: true } });
+                expect(bridge.getIp()).toBe('192.168.1.120');
+                return user.getLight(2);
+            }).then(() => {
+                expect(urls(fetch)).toEqual([
+                    `http://192.168.1.100/api/${USER}/lights/1`,
+                    NUPNP_URL,
+                    'http://192.168.1.120/api/config',
+                    `http://192.168.1.120/api/${USER}/lights/1`,
+                    `http://192.168.1.120/api/${USER}/lights/2`
+                ]);
+                done();
+            });
+        });
+
+        it('passes the bridge address to instance middleware', done => {
+            var fetch = network('192.168.1.120'),
+                hue = jsHue(fetch),
+                seen = [];
+
+            hue.use((request, next) => {
+                seen.push(request.url);
+                return next();
+            });
+            hue.bridgeById(BRIDGE_ID, { ip: '192.168.1.100' }).user(USER).getLight(1).then(() => {
+                expect(seen).toEqual([
+                    `http://192.168.1.100/api/${USER}/lights/1`,
+                    NUPNP_URL,
+                    'http://192.168.1.120/api/config',
+                    `http://192.168.1.120/api/${USER}/lights/1`
+                ]);
+                done();
+            });
+        });
+
+        it('connects the event stream to the located bridge', done => {
+            var fetch = network('192.168.1.120'),
+                events = jsHue(fetch).bridgeById(BRIDGE_ID).v2('app-key').events();
+
+            events.on('open', () => {
+                expect(urls(fetch)).toEqual([
+                    NUPNP_URL,
+                    'http://192.168.1.120/api/config',
+                    'https://192.168.1.120/eventstream/clip/v2'
+                ]);
+                events.close();
+                done();
+            });
+        });
+
+        it('verifies the bridge ID of discovered bridges', done => {
+            var fetch = network('192.168.1.120', [
+                    { id: BRIDGE_ID, internalipaddress: '192.168.1.50' },
+                    { id: '001788fffe000002', internalipaddress: '192.168.1.120' }
+                ]),
+                bridge = jsHue(fetch).bridgeById(BRIDGE_ID);
+
+            bridge.locate().then(ip => {
+                expect(ip).toBe('192.168.1.120');
+                done();
+            });
+        });
+
+        it('verifies the bridge ID with the scheme and agent of the bridge', done => {
+            var fetch = network('192.168.1.100'),
+                agent = {},
+                bridge = jsHue(fetch).bridgeById(BRIDGE_ID, { https: true, agent });
+
+            bridge.locate().then(() => {
+                expect(fetch).toHaveBeenCalledWith('https://192.168.1.100/api/config', jasmine.objectContaining({ method: 'GET', agent }));
+                done();
+            });
+        });
+
+        it('shares discovery between concurrent requests', done => {
+            var fetch = network('192.168.1.120'),
+                user = jsHue(fetch).bridgeById(BRIDGE_ID, { ip: '192.168.1.100' }).user(USER);
+
+            Promise.all([user.getLight(1), user.getLight(2)]).then(() => {
+                expect(urls(fetch).filter(url => url === NUPNP_URL).length).toBe(1);
+                done();
+            });
+        });
+
+        it('rejects with the network error if the bridge is not found', done => {
+            var fetch = network('192.168.1.100', []),
+                user = jsHue(fetch).bridgeById(BRIDGE_ID, { ip: '192.168.1.120' }).user(USER);
+
+            user.getLight(1).catch(error => {
+                expect(error).toEqual(jasmine.any(TypeError));
+                done();
+            });
+        });
+
+        it('does not locate the bridge on bridge errors', done => {
+            var fetch = fetchSpy([{"error":{"type":1,"address":"/lights","description":"unauthorized user"}}]),
+                user = jsHueAPI(fetch, Response, JSON, Promise, { rejectErrors: true }).bridgeById(BRIDGE_ID, { ip: '192.168.1.100' }).user(USER);
+
+            user.getLights().catch(error => {
+                expect(error).toEqual(jasmine.any(HueUnauthorizedUserError));
+                expect(fetch.calls.count()).toBe(1);
+                done();
+            });
+        });
+    });
+
+    describe('connecting', () => {
+        const NUPNP_URL = 'https://www.meethue.com/api/nupnp',
+                BRIDGE_ID = '001788FFFE255ACC';
+
+        var bridges = [{ id: '001788fffe255acc', internalipaddress: '192.168.1.100' }],
+            config = { name: 'Philips hue' };
+
+        var connectFetch = () => fetchRoute((url, init) => url === NUPNP_URL ? bridges
+            : init.method === 'POST' ? [{ success: { username: 'new-user' } }]
+            : config);
+
+        it('uses stored credentials', done => {
+            var fetch = connectFetch(),
+                store = memoryStore({ [BRIDGE_ID]: { username: '83b7780291a6ceffbe0bd049104df' } });
+
+            jsHueAPI(fetch, Response, JSON, Promise, { store }).connect(BRIDGE_ID).then(user => user.getConfig()).then(data => {
+                expect(fetch.calls.allArgs().map(args => args[0])).toEqual([
+                    NUPNP_URL,
+                    'http://192.168.1.100/api/83b7780291a6ceffbe0bd049104df/config'
+                ]);
+                expect(data).toEqual(config);
+                done();
+            });
+        });
+
+        it('pairs and stores credentials if there are none', done => {
+            var fetch = connectFetch(),
+                store = memoryStore();
+
+            jsHue(fetch).connect(BRIDGE_ID, { store, devicetype: 'my_app#device' }).then(user => {
+                expect(fetch).toHaveBeenCalledWith('http://192.168.1.100/api', jasmine.objectContaining({ method: 'POST', body: JSON.stringify({ devicetype: 'my_app#device' }) }));
+                return store.get(BRIDGE_ID);
+            }).then(credentials => {
+                expect(credentials).toEqual({ username: 'new-user' });
+                done();
+            });
+        });
+
+        it('rejects if the bridge is not found', done => {
+            jsHue(connectFetch()).connect('001788fffe000001').catch(error => {
+                expect(error).toEqual(jasmine.any(HueError));
+                expect(error.message).toContain('001788fffe000001');
+                done();
+            });
+        });
+    });
+
+    describe('bridge agent', () => {
+        const CERT = {
+            subject: { CN: '001788fffe255acc' },
+            fingerprint: 'AA:BB:CC',
+            fingerprint256: '3C:D1:27:9F:00:11:22:33'
+        };
+
+        var connect = (options, cert = CERT) => {
+            var https = fakeHttps(cert),
+                agent = bridgeAgent(options, https);
+
+            expect(agent.createConnection({ host: '192.168.1.100', port: 443 })).toBe(https.socket);
+            https.socket.listeners.secureConnect();
+            return { agent, socket: https.socket };
+        };
+
+        it('accepts certificates with the bridge ID as CN signed by the CA', () => {
+            var { agent, socket } = connect({ bridgeId: '001788FFFE255ACC', ca: 'CA CERTIFICATE' });
+
+            expect(agent.options.rejectUnauthorized).toBe(true);
+            expect(agent.options.ca).toBe('CA CERTIFICATE');
+            expect(agent.options.checkServerIdentity('192.168.1.100', CERT)).toBeUndefined();
+            expect(socket.destroy).not.toHaveBeenCalled();
+        });
+
+        it('rejects certificates of other bridges', () => {
+            var { socket } = connect({ bridgeId: '001788fffe000001', ca: 'CA CERTIFICATE' });
+
+            expect(socket.destroy).toHaveBeenCalledWith(jasmine.any(HueError));
+        });
+
+        it('accepts pinned fingerprints', () => {
+            expect(connect({ fingerprint: '3cd1279f00112233' }).agent.options.rejectUnauthorized).toBe(false);
+            expect(connect({ fingerprint: '3cd1279f00112233' }).socket.destroy).not.toHaveBeenCalled();
+            expect(connect({ fingerprint: 'aa:bb:cc' }).socket.destroy).not.toHaveBeenCalled();
+        });
+
+        it('rejects other fingerprints even if the CN matches', () => {
+            var { socket } = connect({ bridgeId: '001788fffe255acc', fingerprint: '3C:D1:27:9F:00:11:22:34' });
+
+            expect(socket.destroy).toHaveBeenCalledWith(jasmine.any(HueError));
+        });
+
+        it('rejects connections without a certificate', () => {
+            expect(connect({ bridgeId: '001788fffe255acc', ca: 'CA CERTIFICATE' }, {}).socket.destroy).toHaveBeenCalledWith(jasmine.any(HueError));
+        });
+
+        it('validates the certificate chain of pinned fingerprints with a CA certificate', () => {
+            var { agent } = connect({ fingerprint: '3cd1279f00112233', ca: 'CA CERTIFICATE' });
+
+            expect(agent.options.rejectUnauthorized).toBe(true);
+        });
+
+        it('requires a bridge ID or fingerprint', () => {
+            expect(() => bridgeAgent({}, fakeHttps(CERT))).toThrowError(HueError);
+        });
+
+        it('requires a CA certificate to check the bridge ID alone', () => {
+            expect(() => bridgeAgent({ bridgeId: '001788fffe255acc' }, fakeHttps(CERT))).toThrowError(HueError);
+        });
+    });
+
+    describe('colors', () => {
+        it('parses colors', () => {
+            expect([
+                '#ff8800', 'f80', 'Orange', 'rgb(255, 165, 0)', [255, 165.2, -3], { r: 255, g: 165, b: 0 }, { h: 30, s: 100, l: 50 }
+            ].map(hueColor.parse)).toEqual([
+                [255, 136, 0], [255, 136, 0], [255, 165, 0], [255, 165, 0], [255, 165, 0], [255, 165, 0], [255, 128, 0]
+            ]);
+            expect(() => hueColor.parse('not a color')).toThrowError(HueError);
+            expect(() => hueColor.parse('#ff88')).toThrowError(HueError);
+        });
+
+        it('converts between hex, RGB, and HSL', () => {
+            expect(hueColor.hexToRgb('#3366Cc')).toEqual([51, 102, 204]);
+            expect(hueColor.rgbToHex([51, 102, 9])).toBe('#336609');
+            expect(hueColor.hslToRgb({ h: 210, s: 50, l: 40 })).toEqual([51, 102, 153]);
+            expect(hueColor.hslToRgb({ h: -120, s: 100, l: 50 })).toEqual([0, 0, 255]);
+            expect(hueColor.rgbToHsl([51, 102, 153])).toEqual({ h: 210, s: 50, l: 40 });
+            expect(hueColor.rgbToHsl('white')).toEqual({ h: 0, s: 0, l: 100 });
+        });
+
+        it('converts colors to xy', () => {
+            expect(hueColor.toXy('red')).toEqual([0.7006, 0.2993]);
+            expect(hueColor.rgbToXy([255, 136, 0])).toEqual([0.601, 0.3837]);
+            expect(hueColor.toXy('black')).toEqual([0.3227, 0.329]);
+        });
+
+        it('clamps xy to gamuts', () => {
+            expect(hueColor.toXy('red', 'B')).toEqual([0.675, 0.322]);
+            expect(hueColor.toXy('#00f', 'A')).toEqual([0.138, 0.08]);
+            expect(hueColor.toXy('#ff8800', 'C')).toEqual([0.5975, 0.3789]);
+            expect(hueColor.clampToGamut([0.4, 0.4], 'c')).toEqual([0.4, 0.4]);
+            expect(hueColor.clampToGamut([0.4, 0.4], [[0.5, 0.3], [0.3, 0.5], [0.2, 0.1]])).toEqual([0.4, 0.4]);
+            expect(hueColor.clampToGamut([0.5, 0.5], [[0.5, 0.3], [0.3, 0.5], [0.2, 0.1]])).toEqual([0.4, 0.4]);
+        });
+
+        it('converts xy to RGB and hex', () => {
+            var xy = hueColor.toXy('#3399cc');
+
+            expect(hueColor.xyToRgb([0.3227, 0.329])).toEqual([255, 255, 255]);
+            expect(hueColor.toXy(hueColor.xyToRgb(xy)).map(v => Math.round(v * 100))).toEqual(xy.map(v => Math.round(v * 100)));
+            expect(hueColor.xyToHex([0.7006, 0.2993])).toBe('#ff0000');
+            expect(hueColor.xyToRgb([0.3227, 0.329], 127)).toEqual([188, 188, 188]);
+        });
+
+        it('converts color temperatures and hue and saturation to RGB', () => {
+            expect(hueColor.kelvinToRgb(2700)).toEqual([255, 167, 87]);
+            expect(hueColor.kelvinToRgb(6500)).toEqual([255, 254, 250]);
+            expect([0, 21845, 43690, 65535].map(hue => hueColor.hueSatToRgb(hue, 254))).toEqual([[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 0, 0]]);
+            expect(hueColor.hueSatToRgb(43690, 127)).toEqual([128, 128, 255]);
+        });
+
+        it('renders light states', () => {
+            var light = (state, control) => ({ state, capabilities: { control: control || {} } });
+
+            expect([
+                light({ on: false, bri: 254, xy: [0.7006, 0.2993], colormode: 'xy' }),
+                light({ on: true, bri: 254, xy: [0.7006, 0.2993], colormode: 'xy' }),
+                light({ on: true, bri: 254, xy: [0.7006, 0.2993], colormode: 'xy' }, { colorgamuttype: 'B' }),
+                light({ on: true, bri: 127, hue: 0, sat: 254, colormode: 'hs' }),
+                light({ on: true, bri: 254, ct: 153, colormode: 'ct' }),
+                light({ on: true, bri: 254, ct: 500, colormode: 'ct' }),
+                light({ on: true, bri: 254 }),
+                light({ on: true, bri: 1, xy: [0.3227, 0.329], colormode: 'xy' })
+            ].map(hueColor.lightToHex)).toEqual([
+                '#000000', '#ff0000', '#ff4700', '#bc0000', '#fffffb', '#ff8b12', '#ffa859', '#0d0d0d'
+            ]);
+            expect(hueColor.lightToRgb(light({ on: true }))).toEqual([255, 168, 89]);
+        });
+
+        it('gets gamuts of lights', () => {
+            var gamut = [[0.68, 0.31], [0.17, 0.69], [0.15, 0.06]];
+
+            expect(hueColor.gamut({ capabilities: { control: { colorgamuttype: 'B' } } })).toBe(hueColor.gamuts.B);
+            expect(hueColor.gamut({ capabilities: { control: { colorgamuttype: 'C', colorgamut: gamut } } })).toBe(gamut);
+            expect(hueColor.gamut({ capabilities: { control: {} } })).toBeNull();
+            expect(hueColor.gamut(null)).toBeNull();
+        });
+    });
+
+    describe('sun', () => {
+        it('calculates the elevation of the sun', () => {
+            expect(hueSun.elevation(new Date(Date.UTC(2026, 5, 21, 12, 0)), 0, 0)).toBeCloseTo(66.56, 1);
+            expect(hueSun.elevation(new Date(Date.UTC(2026, 2, 20, 12, 7)), 51.5, 0)).toBeCloseTo(38.46, 1);
+            expect(hueSun.elevation(new Date(Date.UTC(2026, 11, 21, 0, 0)), 52.37, 4.9)).toBeLessThan(-60);
+        });
+
+        it('calculates adaptive states', () => {
+            var options = { latitude: 51.5, longitude: 0 };
+
+            expect(hueSun.adaptiveState(new Date(Date.UTC(2026, 2, 20, 12, 7)), options)).toEqual(jasmine.objectContaining({ ct: 200, bri: 254 }));
+            expect(hueSun.adaptiveState(new Date(Date.UTC(2026, 2, 20, 6, 7)), options)).toEqual(jasmine.objectContaining({ ct: 414, bri: 106 }));
+            expect(hueSun.adaptiveState(new Date(Date.UTC(2026, 2, 20, 0, 0)), Object.assign({ kelvin: [2000, 6500], bri: [1, 200] }, options)))
+                .toEqual(jasmine.objectContaining({ ct: 500, bri: 1 }));
+        });
+    });
+
+    describe('schedule times', () => {
+        var patterns = [
+            ['2026-10-19T07:00:00', { type: 'absolute', date: new Date(2026, 9, 19, 7, 0, 0) }],
+            ['2026-10-19T07:00:00A00:30:00', { type: 'absolute', date: new Date(2026, 9, 19, 7, 0, 0), random: 1800000 }],
+            ['W124/T07:30:00', { type: 'recurring', days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'], time: { hours: 7, minutes: 30, seconds: 0 } }],
+            ['W3/T09:00:00A00:05:00', { type: 'recurring', days: ['saturday', 'sunday'], time: { hours: 9, minutes: 0, seconds: 0 }, random: 300000 }],
+            ['PT00:10:00', { type: 'timer', duration: 600000 }],
+            ['R05/PT00:00:30', { type: 'recurringTimer', repeat: 5, duration: 30000 }],
+            ['R/PT01:00:00A00:10:00', { type: 'recurringTimer', duration: 3600000, random: 600000 }],
+            ['T22:00:00/T06:00:00', { type: 'interval', start: { hours: 22, minutes: 0, seconds: 0 }, end: { hours: 6, minutes: 0, seconds: 0 } }],
+            ['W64/T08:00:00/T17:00:00', { type: 'interval', days: ['monday'], start: { hours: 8, minutes: 0, seconds: 0 }, end: { hours: 17, minutes: 0, seconds: 0 } }]
+        ];
+
+        it('builds time patterns', () => {
+            patterns.forEach(([text, pattern]) => expect(hueTime.build(pattern)).toBe(text));
+            expect(hueTime.build({ type: 'recurring', days: 127, time: { hours: 7, minutes: 5 } })).toBe('W127/T07:05:00');
+        });
+
+        it('parses time patterns', () => {
+            patterns.forEach(([text, pattern]) => expect(hueTime.parse(text)).toEqual(pattern));
+        });
+
+        it('rejects invalid time patterns', () => {
+            [{ type: 'recurring', days: ['someday'], time: { hours: 7, minutes: 0 } },
+                { type: 'recurring', days: 0, time: { hours: 7, minutes: 0 } },
+                { type: 'absolute', date: new Date('tomorrow') },
+                { type: 'timer', duration: 86400000 },
+                { type: 'recurringTimer', repeat: 100, duration: 1000 },
+                { type: 'interval', start: { hours: 24, minutes: 0 }, end: { hours: 6, minutes: 0 } },
+                { type: 'sometime' }
+            ].forEach(pattern => expect(() => hueTime.build(pattern)).toThrowError(HueError));
+
+            ['', 'W0/T07:00:00', 'W128/T07:00:00', 'W12/T25:00:00', '2026-02-30T07:00:00', 'PT00:61:00', 'R00/PT00:00:10', 'T07:00:00']
+                .forEach(text => expect(() => hueTime.parse(text)).toThrowError(HueError));
+        });
+
+        it('calculates the next firing times', () => {
+            var from = new Date(2026, 9, 19, 12, 0, 0); // a Monday
+
+            expect(hueTime.next('W124/T07:30:00', 3, from)).toEqual([
+                new Date(2026, 9, 20, 7, 30, 0),
+                new Date(2026, 9, 21, 7, 30, 0),
+                new Date(2026, 9, 22, 7, 30, 0)
+            ]);
+            expect(hueTime.next({ type: 'recurring', days: ['saturday'], time: { hours: 12, minutes: 0 } }, 2, from)).toEqual([
+                new Date(2026, 9, 24, 12, 0, 0),
+                new Date(2026, 9, 31, 12, 0, 0)
+            ]);
+            expect(hueTime.next('W64/T12:00:00', 1, from)).toEqual([from]);
+            expect(hueTime.next('2026-10-19T07:00:00', 1, from)).toEqual([]);
+            expect(hueTime.next('2026-10-20T07:00:00A00:30:00', 5, from)).toEqual([new Date(2026, 9, 20, 7, 0, 0)]);
+            expect(hueTime.next('PT00:10:00', 5, from)).toEqual([new Date(2026, 9, 19, 12, 10, 0)]);
+            expect(hueTime.next('R02/PT00:00:30', 5, from)).toEqual([new Date(2026, 9, 19, 12, 0, 30), new Date(2026, 9, 19, 12, 1, 0)]);
+            expect(hueTime.next('R/PT01:00:00', 3, from).length).toBe(3);
+            expect(hueTime.next('T22:00:00/T06:00:00', 2, from)).toEqual([new Date(2026, 9, 19, 22, 0, 0), new Date(2026, 9, 20, 22, 0, 0)]);
+        });
+
+        it('rejects counts that are not finite', () => {
+            expect(() => hueTime.next('W127/T07:00:00', Infinity)).toThrowError(HueError);
+            expect(() => hueTime.next('R/PT01:00:00', Infinity)).toThrowError(HueError);
+            expect(() => hueTime.next('W127/T07:00:00', NaN)).toThrowError(HueError);
+        });
+    });
+
+    describe('jsHueBridge', () => {
+        const BRIDGE_IP = '192.168.1.100',
+                BRIDGE_URL = `http://${BRIDGE_IP}/api`;
+
+        var jsHueBridge = fetch => jsHue(fetch).bridge(BRIDGE_IP);
+
+        it('creates a new user', done => {
+            var type = 'my_hue_app#iphone peter',
+                body = {"devicetype": type},
+                response = [{"success":{"username": "83b7780291a6ceffbe0bd049104df"}}],
+                fetch = fetchSpy(response),
+                bridge = jsHueBridge(fetch);
+
+            bridge.createUser(type).then(data => {
+                expect(fetch).toHaveBeenCalledWith(BRIDGE_URL, { method: 'POST', body: JSON.stringify(body) });
+                expect(data).toEqual(response);
+                done();
+            });
+        });
+
+        it('uses HTTPS with an agent', done => {
+            var agent = {},
+                fetch = fetchSpy([]),
+                bridge = jsHue(fetch).bridge(BRIDGE_IP, { https: true, agent });
+
+            bridge.createUser('my_hue_app#iphone peter').then(() => {
+                expect(fetch).toHaveBeenCalledWith(`https://${BRIDGE_IP}/api`, {
+                    method: 'POST',
+                    body: JSON.stringify({ devicetype: 'my_hue_app#iphone peter' }),
+                    agent
+                });
+                done();
+            });
+        });
+
+        it('does not use the bridge agent for discovery', done => {
+            var fetch = fetchSpy([]);
+
+            jsHueAPI(fetch, Response, JSON, Promise, { https: true, agent: {} }).discover().then(() => {
+                expect(fetch).toHaveBeenCalledWith('https://www.meethue.com/api/nupnp', { method: 'GET', body: null });
+                done();
+            });
+        });
+
+        describe('pairing', () => {
+            const TYPE = 'my_hue_app#iphone peter';
+
+            var notPressed = [{"error":{"type":101,"address":"","description":"link button not pressed"}}];
+
+            // Bridge whose link button is pressed after the given number of attempts
+            var pairingFetch = (presses, success = {"username": "83b7780291a6ceffbe0bd049104df"}) =>
+                fetchRoute(() => presses-- > 0 ? notPressed : [{ success }]);
+
+            it('polls until the link button is pressed', done => {
+                var fetch = pairingFetch(2),
+                    progress = jasmine.createSpy('progress');
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, intervalMs: 5 }).on('progress', progress).then(username => {
+                    expect(fetch.calls.count()).toBe(3);
+                    expect(fetch).toHaveBeenCalledWith(BRIDGE_URL, jasmine.objectContaining({ method: 'POST', body: JSON.stringify({ devicetype: TYPE }) }));
+                    expect(username).toBe('83b7780291a6ceffbe0bd049104df');
+                    expect(progress.calls.count()).toBe(2);
+                    expect(progress.calls.argsFor(1)[0]).toEqual({
+                        attempt: 2,
+                        elapsed: jasmine.any(Number),
+                        remaining: jasmine.any(Number),
+                        timeoutMs: 30000
+                    });
+                    done();
+                });
+            });
+
+            it('generates a client key', done => {
+                var fetch = pairingFetch(0, { "username": "83b7780291a6ceffbe0bd049104df", "clientkey": "E3B550C65F78022EFD9E52E28378583" });
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, generateClientKey: true }).then(data => {
+                    expect(fetch).toHaveBeenCalledWith(BRIDGE_URL, jasmine.objectContaining({ method: 'POST', body: JSON.stringify({ devicetype: TYPE, generateclientkey: true }) }));
+                    expect(data).toEqual({ username: '83b7780291a6ceffbe0bd049104df', clientkey: 'E3B550C65F78022EFD9E52E28378583' });
+                    done();
+                });
+            });
+
+            it('times out if the link button is not pressed', done => {
+                var fetch = pairingFetch(Infinity);
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, timeoutMs: 30, intervalMs: 10 }).catch(error => {
+                    expect(error).toEqual(jasmine.any(HueTimeoutError));
+                    expect(fetch.calls.count()).toBeGreaterThan(1);
+                    expect(fetch.calls.count()).toBeLessThan(5);
+                    done();
+                });
+            });
+
+            it('times out if an attempt hangs', done => {
+                var fetch = fetchRoute(() => new Promise(() => {}));
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, timeoutMs: 30, intervalMs: 10 }).catch(error => {
+                    expect(error).toEqual(jasmine.any(HueTimeoutError));
+                    expect(error.timeout).toBe(30);
+                    expect(fetch.calls.count()).toBe(1);
+                    done();
+                });
+            });
+
+            it('makes a single attempt with a timeout of 0', done => {
+                var fetch = pairingFetch(Infinity);
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, timeoutMs: 0 }).catch(error => {
+                    expect(error).toEqual(jasmine.any(HueTimeoutError));
+                    expect(fetch.calls.count()).toBe(1);
+                    done();
+                });
+            });
+
+            it('polls without delay with an interval of 0', done => {
+                var fetch = pairingFetch(2);
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, timeoutMs: 500, intervalMs: 0 }).then(() => {
+                    expect(fetch.calls.count()).toBe(3);
+                    done();
+                });
+            });
+
+            it('stops polling when aborted', done => {
+                var controller = new AbortController(),
+                    fetch = pairingFetch(Infinity);
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE, intervalMs: 1000, signal: controller.signal }).on('progress', () => controller.abort()).catch(error => {
+                    expect(error).toEqual(jasmine.any(HueAbortError));
+                    expect(fetch.calls.count()).toBe(1);
+                    done();
+                });
+            });
+
+            it('removes its abort listeners when done', done => {
+                var controller = new AbortController(),
+                    signal = controller.signal,
+                    listeners = 0;
+
+                spyOn(signal, 'addEventListener').and.callFake((event, fn) => {
+                    listeners++;
+                    EventTarget.prototype.addEventListener.call(signal, event, fn);
+                });
+                spyOn(signal, 'removeEventListener').and.callFake((event, fn) => {
+                    listeners--;
+                    EventTarget.prototype.removeEventListener.call(signal, event, fn);
+                });
+
+                Promise.all([
+                    jsHueBridge(pairingFetch(2)).pair({ devicetype: TYPE, intervalMs: 5, signal }),
+                    jsHueBridge(pairingFetch(Infinity)).pair({ devicetype: TYPE, timeoutMs: 30, intervalMs: 10, signal }).catch(error => error)
+                ]).then(([username, error]) => {
+                    expect(username).toBe('83b7780291a6ceffbe0bd049104df');
+                    expect(error).toEqual(jasmine.any(HueTimeoutError));
+                    expect(listeners).toBe(0);
+
+                    var aborted = jsHueBridge(pairingFetch(Infinity)).pair({ devicetype: TYPE, intervalMs: 1000, signal });
+
+                    setTimeout(() => controller.abort(), 20);
+                    return aborted.catch(error => error);
+                }).then(error => {
+                    expect(error).toEqual(jasmine.any(HueAbortError));
+                    expect(listeners).toBe(0);
+                    done();
+                });
+            });
+
+            it('rejects other bridge errors', done => {
+                var fetch = fetchSpy([{"error":{"type":7,"address":"/devicetype","description":"invalid value"}}]);
+
+                jsHueBridge(fetch).pair({ devicetype: TYPE }).catch(error => {
+                    expect(error).toEqual(jasmine.any(HueInvalidValueError));
+                    expect(fetch.calls.count()).toBe(1);
+                    done();
+                });
+            });
+
+            it('requires a device type', done => {
+                var fetch = fetchSpy([]);
+
+                jsHueBridge(fetch).pair().catch(error => {
+                    expect(error).toEqual(jasmine.any(HueError));
+                    expect(fetch).not.toHaveBeenCalled();
+                    done();
+                });
+            });
+        });
+
+        describe('jsHueV2', () => {
+            const APP_KEY = 'Vl8nQ3MvbWp8PpbHBiPvTxRSoTlMCg8tVwZlTdbC',
+                    RESOURCE_URL = `https://${BRIDGE_IP}/clip/v2/resource`;
+
+            var v2Server = resources => fetchRoute((url, init) => {
+                var respond = (status, data, errors = []) => new Response(JSON.stringify({ errors, data }), { status }),
+                    notFound = () => respond(404, [], [{ description: 'Not Found' }]),
+                    match = url.match(/^https:\/\/([^/]+)\/clip\/v2\/resource(?:\/(\w+))?(?:\/([\w-]+))?$/);
+
+                if(!match || match[1] !== BRIDGE_IP) {
+                    return notFound();
+                }
+                if(!init.headers || init.headers['hue-application-key'] !== APP_KEY) {
+                    return respond(403, [], [{ description: 'unauthorized user' }]);
+                }
+
+                var [, , type, id] = match,
+                    body = init.body === null ? null : JSON.parse(init.body),
+                    ofType = resources.filter(r => !type || r.type === type),
+                    found = ofType.find(r => r.id === id);
+
+                if(id && !found) {
+                    return notFound();
+                }
+
+                switch(init.method) {
+                    case 'GET':
+                        return respond(200, id ? [found] : ofType);
+                    case 'PUT':
+                        if(body.on && typeof body.on.on !== 'boolean') {
+                            return respond(400, [], [{ description: 'invalid value for on' }]);
+                        }
+                        Object.assign(found, body);
+                        return respond(200, [{ rid: id, rtype: type }]);
+                    case 'POST':
+                        var rid = `new-${resources.length}`;
+                        resources.push(Object.assign({ id: rid, type }, body));
+                        return respond(200, [{ rid, rtype: type }]);
+                    case 'DELETE':
+                        resources.splice(resources.indexOf(found), 1);
+                        return respond(200, [{ rid: id, rtype: type }]);
+                }
+                return respond(405, [], [{ description: 'method not allowed' }]);
+            });
+
+            var resources = () => [
+                { id: 'light-1', type: 'light', on: { on: false }, dimming: { brightness: 50 } },
+                { id: 'light-2', type: 'light', on: { on: true }, dimming: { brightness: 100 } },
+                { id: 'room-1', type: 'room', metadata: { name: 'Living room', archetype: 'living_room' } },
+                { id: 'scene-1', type: 'scene', metadata: { name: 'Relax' } }
+            ];
+
+            var jsHueV2 = (fetch, options) => jsHue(fetch).bridge(BRIDGE_IP, options).v2(APP_KEY);
+
+            it('gets all resources', done => {
+                var fetch = v2Server(resources()),
+                    v2 = jsHueV2(fetch);
+
+                v2.getResources().then(data => {
+                    expect(fetch).toHaveBeenCalledWith(RESOURCE_URL, { method: 'GET', body: null, headers: { 'hue-application-key': APP_KEY } });
+                    expect(data).toEqual({ errors: [], data: resources() });
+                    done();
+                });
+            });
+
+            it('gets resources by type', done => {
+                var v2 = jsHueV2(v2Server(resources()));
+
+                Promise.all([v2.getLights(), v2.getResourcesByType('room')]).then(([lights, rooms]) => {
+                    expect(lights.data.map(r => r.id)).toEqual(['light-1', 'light-2']);
+                    expect(rooms.data.map(r => r.id)).toEqual(['room-1']);
+                    done();
+                });
+            });
+
+            it('gets a resource', done => {
+                var fetch = v2Server(resources()),
+                    v2 = jsHueV2(fetch);
+
+                v2.getLight('light-2').then(data => {
+                    expect(fetch.calls.mostRecent().args[0]).toBe(`${RESOURCE_URL}/light/light-2`);
+                    expect(data.data).toEqual([resources()[1]]);
+                    done();
+                });
+            });
+
+            it('sets a resource', done => {
+                var body = { on: { on: true } },
+                    fetch = v2Server(resources()),
+                    v2 = jsHueV2(fetch);
+
+                v2.setLight('light-1', body)
+                    .then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${RESOURCE_URL}/light/light-1`, { method: 'PUT', body: JSON.stringify(body), headers: { 'hue-application-key': APP_KEY } });
+                        expect(data).toEqual({ errors: [], data: [{ rid: 'light-1', rtype: 'light' }] });
+                        return v2.getLight('light-1');
+                    })
+                    .then(data => {
+                        expect(data.data[0].on).toEqual({ on: true });
+                        done();
+                    });
+            });
+
+            it('creates and deletes a resource', done => {
+                var v2 = jsHueV2(v2Server(resources()));
+
+                v2.createScene({ metadata: { name: 'Energize' } })
+                    .then(data => {
+                        expect(data.data[0].rtype).toBe('scene');
+                        return v2.getScene(data.data[0].rid);
+                    })
+                    .then(data => {
+                        expect(data.data[0].metadata).toEqual({ name: 'Energize' });
+                        return v2.deleteScene(data.data[0].id);
+                    })
+                    .then(() => v2.getScenes())
+                    .then(data => {
+                        expect(data.data.map(r => r.id)).toEqual(['scene-1']);
+                        done();
+                    });
+            });
+
+            it('only generates create and delete methods where supported', () => {
+                var v2 = jsHueV2(v2Server([]));
+
+                expect(typeof v2.createRoom).toBe('function');
+                expect(typeof v2.deleteDevice).toBe('function');
+                expect(v2.createLight).toBeUndefined();
+                expect(v2.deleteLight).toBeUndefined();
+                expect(v2.createDevice).toBeUndefined();
+            });
+
+            it('merges request headers with the application key', done => {
+                var fetch = v2Server(resources()),
+                    v2 = jsHueV2(fetch);
+
+                v2.getLights({ headers: { 'x-trace': '1' } }).then(() => {
+                    expect(fetch.calls.mostRecent().args[1].headers).toEqual({ 'x-trace': '1', 'hue-application-key': APP_KEY });
+                    done();
+                });
+            });
+
+            it('resolves v2 errors by default', done => {
+                var v2 = jsHue(v2Server(resources())).bridge(BRIDGE_IP).v2('wrong');
+
+                v2.getLights().then(data => {
+                    expect(data).toEqual({ errors: [{ description: 'unauthorized user' }], data: [] });
+                    done();
+                });
+            });
+
+            it('rejects HTTP errors with rejectErrors', done => {
+                var v2 = jsHueV2(v2Server(resources()), { rejectErrors: true });
+
+                v2.getLight('light-9').then(
+                    () => {
+                        fail('This should not be called');
+                        done();
+                    },
+                    e => {
+                        expect(e).toEqual(jasmine.any(HueHttpError));
+                        expect(e.status).toBe(404);
+                        done();
+                    }
+                );
+            });
+
+            describe('event stream', () => {
+                const EVENTS_URL = `https://${BRIDGE_IP}/eventstream/clip/v2`;
+
+                var sseResponse = (...chunks) => new Response(new ReadableStream({
+                    start: controller => {
+                        chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+                        controller.close();
+                    }
+                }));
+
+                var sse = (id, ...containers) => `id: ${id}\ndata: ${JSON.stringify(containers)}\n\n`;
+
+                var update = (id, ...data) => ({ creationtime: '2026-10-19T07:00:00Z', id, type: 'update', data });
+
+                var button = { id: 'button-1', type: 'button', button: { last_event: 'short_release' } },
+                    motion = { id: 'motion-1', type: 'motion', motion: { motion: true } },
+                    light = { id: 'light-1', type: 'light', on: { on: true } };
+
+                var streamFetch = (...responses) => {
+                    var calls = 0;
+                    return fetchRoute(() => calls < responses.length ? responses[calls++]() : new Promise(() => {}));
+                };
+
+                it('emits events filtered by resource type', done => {
+                    var fetch = streamFetch(() => sseResponse(
+                            ': hi\n\n',
+                            sse('1:0', update('e1', button, light)),
+                            sse('2:0', { creationtime: '2026-10-19T07:00:01Z', id: 'e2', type: 'delete', data: [motion] })
+                        )),
+                        events = jsHueV2(fetch).events({ types: ['button', 'motion'] }),
+                        seen = [];
+
+                    events.on('event', event => seen.push(event));
+                    events.on('delete', event => setTimeout(() => {
+                        expect(fetch).toHaveBeenCalledWith(EVENTS_URL, jasmine.objectContaining({
+                            method: 'GET',
+                            headers: { Accept: 'text/event-stream', 'hue-application-key': APP_KEY }
+                        }));
+                        expect(seen).toEqual([
+                            { type: 'update', id: 'e1', creationtime: '2026-10-19T07:00:00Z', resource: button },
+                            { type: 'delete', id: 'e2', creationtime: '2026-10-19T07:00:01Z', resource: motion }
+                        ]);
+                        expect(event).toBe(seen[1]);
+                        events.close();
+                        done();
+                    }));
+                });
+
+                it('reads async iterable bodies', done => {
+                    var text = sse('1:0', update('e1', button)),
+                        chunks = [text.slice(0, 10), text.slice(10)].map(chunk => new TextEncoder().encode(chunk)),
+                        // like a Node Readable, e.g. the body of a node-fetch response
+                        body = { [Symbol.asyncIterator]: async function* () { yield* chunks; } },
+                        fetch = streamFetch(() => Object.defineProperty(new Response(''), 'body', { value: body })),
+                        events = jsHueV2(fetch).events();
+
+                    events.on('update', event => {
+                        expect(event.resource).toEqual(button);
+                        events.close();
+                        done();
+                    });
+                });
+
+                it('filters events by resource id', done => {
+                    var fetch = streamFetch(() => sseResponse(sse('1:0', update('e1', light, Object.assign({}, light, { id: 'light-2' }))))),
+                        events = jsHueV2(fetch).events({ ids: ['light-2'] });
+
+                    events.on('update', event => {
+                        expect(event.resource.id).toBe('light-2');
+                        events.close();
+                        done();
+                    });
+                });
+
+                it('parses events split across chunks', done => {
+                    var text = sse('1:0', update('e1', button)),
+                        fetch = streamFetch(() => sseResponse(text.slice(0, 10), text.slice(10, 30), text.slice(30))),
+                        events = jsHueV2(fetch).events();
+
+                    events.on('update', event => {
+                        expect(event.resource).toEqual(button);
+                        events.close();
+                        done();
+                    });
+                });
+
+                it('reconnects with the last event id', done => {
+                    var fetch = streamFetch(
+                            () => sseResponse(sse('1634576695:0', update('e1', button))),
+                            () => sseResponse(sse('1634576696:0', update('e2', motion)))
+                        ),
+                        events = jsHueV2(fetch).events({ reconnectDelay: 1 }),
+                        opened = 0;
+
+                    events.on('open', () => opened++);
+                    events.on('update', event => {
+                        if(event.id === 'e2') {
+                            expect(opened).toBe(2);
+                            expect(fetch.calls.argsFor(0)[1].headers['Last-Event-ID']).toBeUndefined();
+                            expect(fetch.calls.argsFor(1)[1].headers['Last-Event-ID']).toBe('1634576695:0');
+                            events.close();
+                            done();
+                        }
+                    });
+                });
+
+                it('emits errors and reconnects on HTTP errors', done => {
+                    var fetch = streamFetch(
+                            () => new Response('', { status: 503 }),
+                            () => sseResponse(sse('1:0', update('e1', button)))
+                        ),
+                        events = jsHueV2(fetch).events({ reconnectDelay: 1 }),
+                        errors = [];
+
+                    events.on('error', e => errors.push(e));
+                    events.on('update', () => {
+                        expect(errors.length).toBe(1);
+                        expect(errors[0]).toEqual(jasmine.any(HueHttpError));
+                        expect(errors[0].status).toBe(503);
+                        events.close();
+                        done();
+                    });
+                });
+
+                it('is an async iterable of events', done => {
+                    var fetch = streamFetch(() => sseResponse(sse('1:0', update('e1', button, motion)), sse('2:0', update('e2', light)))),
+                        events = jsHueV2(fetch).events(),
+                        closed = jasmine.createSpy('close'),
+                        seen = [];
+
+                    events.on('close', closed);
+
+                    var iterate = async () => {
+                        for await (var event of events) {
+                            seen.push(event.resource.id);
+                            if(seen.length === 3) {
+                                break;
+                            }
+                        }
+                    };
+
+                    iterate().then(() => {
+                        expect(seen).toEqual(['button-1', 'motion-1', 'light-1']);
+                        expect(closed).toHaveBeenCalled();
+                        done();
+                    });
+                });
+
+                it('stops reconnecting when closed', done => {
+                    var fetch = streamFetch(() => sseResponse(sse('1:0', update('e1', button)))),
+                        events = jsHueV2(fetch).events({ reconnectDelay: 1 });
 
-        var jsHueBridge = fetch => jsHue(fetch).bridge(BRIDGE_IP);
+                    events.on('update', () => events.close());
+                    events.on('close', () => setTimeout(() => {
+                        expect(fetch.calls.count()).toBe(1);
+                        done();
+                    }, 20));
+                });
+            });
 
-        it('creates a new user', done => {
-            var type = 'my_hue_app#iphone peter',
-                body = {"devicetype": type},
-                response = [{"success":{"username": "83b7780291a6ceffbe0bd049104df"}}],
-                fetch = fetchSpy(response),
-                bridge = jsHueBridge(fetch);
+            it('rejects v2 errors with rejectErrors', done => {
+                var response = { errors: [{ description: 'device (light) has communication issues' }], data: [{ rid: 'light-1', rtype: 'light' }] },
+                    fetch = fetchSpy(response),
+                    v2 = jsHueV2(fetch, { rejectErrors: true });
 
-            bridge.createUser(type).then(data => {
-                expect(fetch).toHaveBeenCalledWith(BRIDGE_URL, { method: 'POST', body: JSON.stringify(body) });
-                expect(data).toEqual(response);
-                done();
+                v2.setLight('light-1', { on: { on: true } }).then(
+                    () => {
+                        fail('This should not be called');
+                        done();
+                    },
+                    e => {
+                        expect(e).toEqual(jasmine.any(HueApiError));
+                        expect(e.description).toBe('device (light) has communication issues');
+                        expect(e.successes).toEqual(response.data);
+                        done();
+                    }
+                );
             });
         });
 
@@ -248,6 +1696,114 @@ describe('jsHue', () => {
                 });
             });
 
+            describe('light model', () => {
+                const LIGHT_URL = `${USER_URL}/lights/1`;
+
+                var light = {
+                    "state": { "on": true, "bri": 127, "xy": [0.5975, 0.3789], "ct": 366, "colormode": "xy", "reachable": true },
+                    "type": "Extended color light",
+                    "name": "Hue color lamp 1",
+                    "capabilities": { "control": { "colorgamuttype": "C", "ct": { "min": 153, "max": 500 } } }
+                };
+
+                var lights = { "1": light };
+
+                it('translates colors in light states', done => {
+                    var fetch = fakeBridge({ lights }),
+                        user = jsHueUser(fetch);
+
+                    user.setLightState(1, { on: true, hex: '#ff8800' }).then(() => user.setLightState(1, { rgb: [255, 0, 0] })).then(() => {
+                        expect(fetch.calls.allArgs()).toEqual([
+                            [LIGHT_URL, jasmine.objectContaining({ method: 'GET', body: null })],
+                            [`${LIGHT_URL}/state`, { method: 'PUT', body: JSON.stringify({ on: true, xy: [0.5975, 0.3789] }) }],
+                            [`${LIGHT_URL}/state`, { method: 'PUT', body: JSON.stringify({ xy: [0.6915, 0.3083] }) }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('translates colors in group states', done => {
+                    var fetch = fetchSpy([]);
+
+                    jsHueUser(fetch).setGroupState(1, { rgb: 'red', bri: 254 }).then(() => {
+                        expect(fetch.calls.allArgs()).toEqual([
+                            [`${USER_URL}/groups/1/action`, { method: 'PUT', body: JSON.stringify({ bri: 254, xy: [0.7006, 0.2993] }) }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('rejects invalid colors in states', done => {
+                    var fetch = fetchSpy([]);
+
+                    jsHueUser(fetch).setGroupState(1, { hex: 'nope' }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueError));
+                        expect(fetch).not.toHaveBeenCalled();
+                        done();
+                    });
+                });
+
+                it('caches the light state and capabilities', done => {
+                    var fetch = fakeBridge({ lights }),
+                        lamp = jsHueUser(fetch).light(1);
+
+                    expect(lamp.getState()).toBeNull();
+                    expect(lamp.supports('color')).toBe(false);
+                    lamp.refresh().then(result => {
+                        expect(fetch).toHaveBeenCalledWith(LIGHT_URL, { method: 'GET', body: null });
+                        expect(result).toBe(lamp);
+                        expect(lamp.getData()).toEqual(light);
+                        expect(lamp.getState()).toEqual(light.state);
+                        expect(lamp.getCapabilities()).toEqual(light.capabilities);
+                        expect(['brightness', 'color', 'ct', 'hue'].map(lamp.supports)).toEqual([true, true, true, false]);
+                        done();
+                    });
+                });
+
+                it('commits chained changes in a single request', done => {
+                    var fetch = fakeBridge({ lights });
+
+                    jsHueUser(fetch).light(1).on().brightness(50).color('#ff8800').transition(400).commit().then(data => {
+                        expect(fetch.calls.count()).toBe(1);
+                        expect(fetch).toHaveBeenCalledWith(`${LIGHT_URL}/state`, {
+                            method: 'PUT',
+                            body: JSON.stringify({ on: true, bri: 127, xy: [0.601, 0.3837], transitiontime: 4 })
+                        });
+                        expect(data.length).toBe(4);
+                        done();
+                    });
+                });
+
+                it('leaves out unchanged values and updates the cache', done => {
+                    var fetch = fakeBridge({ lights }),
+                        lamp = jsHueUser(fetch).light(1);
+
+                    lamp.refresh().then(() => lamp.on().color('#f80').brightness(80).transition(0).commit()).then(() => {
+                        expect(fetch.calls.mostRecent().args).toEqual([`${LIGHT_URL}/state`, {
+                            method: 'PUT',
+                            body: JSON.stringify({ bri: 203, transitiontime: 0 })
+                        }]);
+                        expect(lamp.getState().bri).toBe(203);
+                        done();
+                    });
+                });
+
+                it('does not send a request without changes', done => {
+                    var fetch = fakeBridge({ lights }),
+                        lamp = jsHueUser(fetch).light(1);
+
+                    lamp.refresh().then(() => lamp.on().ct(366).transition(1000).commit()).then(data => {
+                        expect(fetch.calls.count()).toBe(1);
+                        expect(data).toEqual([]);
+                        done();
+                    });
+                });
+
+                it('rejects invalid colors', () => {
+                    expect(() => jsHueUser(fakeBridge({ lights })).light(1).color('not a color')).toThrowError(HueError);
+                });
+            });
+
             describe('groups API', () => {
                 const GROUPS_URL = `${USER_URL}/groups`;
 
@@ -374,44 +1930,564 @@ describe('jsHue', () => {
                         fetch = fetchSpy(response),
                         user = jsHueUser(fetch);
 
-                    user.setGroup(id, body).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(body) });
-                        expect(data).toEqual(response);
+                    user.setGroup(id, body).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(body) });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+
+                it('sets group state', done => {
+                    var id = 1,
+                        body = {
+                            "on": true,
+                            "hue": 2000,
+                            "effect": "colorloop"
+                        },
+                        response = [
+                            {"success":{ "address": "/groups/1/action/on", "value": true}},
+                            {"success":{ "address": "/groups/1/action/effect", "value":"colorloop"}},
+                            {"success":{ "address": "/groups/1/action/hue", "value":6000}}
+                        ],
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.setGroupState(id, body).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}/action`, { method: 'PUT', body: JSON.stringify(body) });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+
+                it('deletes a group', done => {
+                    var id = 1,
+                        response = [{"success": "/groups/1 deleted."}],
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.deleteGroup(id).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}`, { method: 'DELETE', body: null });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+            });
+
+            describe('color temperature', () => {
+                var lights = {
+                    "1": { "name": "Color lamp", "state": { "on": true }, "capabilities": { "control": { "colorgamuttype": "C", "ct": { "min": 153, "max": 500 } } } },
+                    "2": { "name": "Ambiance spot", "state": { "on": true }, "capabilities": { "control": { "ct": { "min": 153, "max": 454 } } } },
+                    "3": { "name": "White bulb", "state": { "on": true }, "capabilities": { "control": { "mindimlevel": 5000 } } }
+                };
+
+                var groups = {
+                    "1": { "lights": ["1", "2"] },
+                    "2": { "lights": ["1", "3"] },
+                    "3": { "lights": ["1", "2", "4"] }
+                };
+
+                it('converts between Kelvin and mired', () => {
+                    expect(hueColor.kelvinToMired(4000)).toBe(250);
+                    expect(hueColor.kelvinToMired(1500, hueColor.ctRange)).toBe(500);
+                    expect(hueColor.kelvinToMired(10000, { min: 153, max: 454 })).toBe(153);
+                    expect(hueColor.miredToKelvin(366)).toBe(2732);
+                    expect(hueColor.lightCtRange(lights[2])).toEqual({ min: 153, max: 454 });
+                    expect(hueColor.lightCtRange(lights[3])).toBeNull();
+                });
+
+                it('clamps Kelvin to the range of a light', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        user = jsHueUser(fetch);
+
+                    user.setLightState(2, { kelvin: 2000 }).then(() => user.setLightState(2, { kelvin: 4000, on: true })).then(() => {
+                        expect(fetch.calls.allArgs()).toEqual([
+                            [`${USER_URL}/lights/2`, jasmine.objectContaining({ method: 'GET', body: null })],
+                            [`${USER_URL}/lights/2/state`, { method: 'PUT', body: JSON.stringify({ ct: 454 }) }],
+                            [`${USER_URL}/lights/2/state`, { method: 'PUT', body: JSON.stringify({ on: true, ct: 250 }) }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('leaves out Kelvin for lights without color temperature', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).setLightState(3, { kelvin: 2700, bri: 200 }).then(() => {
+                        expect(fetch.calls.mostRecent().args).toEqual([`${USER_URL}/lights/3/state`, { method: 'PUT', body: JSON.stringify({ bri: 200 }) }]);
+                        done();
+                    });
+                });
+
+                it('sets the group state if the clamped ranges agree', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).setGroupState(2, { kelvin: 2000, on: true }).then(() => {
+                        expect(fetch.calls.count()).toBe(4);
+                        expect(fetch.calls.mostRecent().args).toEqual([`${USER_URL}/groups/2/action`, { method: 'PUT', body: JSON.stringify({ on: true, ct: 500 }) }]);
+                        done();
+                    });
+                });
+
+                it('sets each light if the clamped ranges differ', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).setGroupState(1, { kelvin: 2000, bri: 100 }).then(data => {
+                        expect(fetch.calls.allArgs().slice(3)).toEqual([
+                            [`${USER_URL}/lights/1/state`, { method: 'PUT', body: JSON.stringify({ bri: 100, ct: 500 }) }],
+                            [`${USER_URL}/lights/2/state`, { method: 'PUT', body: JSON.stringify({ bri: 100, ct: 454 }) }]
+                        ]);
+                        expect(data).toEqual([
+                            { success: { '/lights/1/state/bri': 100 } },
+                            { success: { '/lights/1/state/ct': 500 } },
+                            { success: { '/lights/2/state/bri': 100 } },
+                            { success: { '/lights/2/state/ct': 454 } }
+                        ]);
+                        done();
+                    });
+                });
+
+                it('sets lights which cannot be fetched with the range of Hue lights', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).setGroupState(3, { kelvin: 2000, bri: 100 }).then(() => {
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/1/state', { bri: 100, ct: 500 }],
+                            ['/lights/2/state', { bri: 100, ct: 454 }],
+                            ['/lights/4/state', { bri: 100, ct: 500 }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('times out translated writes while fetching lights', done => {
+                    var user = jsHueUser(fetchRoute(() => new Promise(() => {})));
+
+                    Promise.all([
+                        user.setLightState(1, { kelvin: 2700 }, { timeout: 20 }).catch(error => error),
+                        user.setGroupState(1, { kelvin: 2700 }, { timeout: 20 }).catch(error => error)
+                    ]).then(errors => {
+                        expect(errors).toEqual([jasmine.any(HueTimeoutError), jasmine.any(HueTimeoutError)]);
+                        done();
+                    });
+                });
+
+                it('aborts translated writes while fetching lights', done => {
+                    var controller = new AbortController();
+
+                    jsHueUser(fetchRoute(() => new Promise(() => {}))).setLightState(2, { hex: '#f00' }, { signal: controller.signal }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueAbortError));
+                        done();
+                    });
+                    setTimeout(() => controller.abort(), 10);
+                });
+
+                it('fetches groups and their lights once', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        user = jsHueUser(fetch),
+                        reads = () => fetch.calls.allArgs().filter(([url, init]) => init.method === 'GET').map(([url]) => url.slice(USER_URL.length));
+
+                    user.setGroupState(2, { kelvin: 2000 })
+                        .then(() => user.setGroupState(2, { kelvin: 4000 }))
+                        .then(() => user.setLightState(1, { kelvin: 4000 }))
+                        .then(() => {
+                            expect(reads()).toEqual(['/groups/2', '/lights/1', '/lights/3']);
+                            return user.setGroup(2, { lights: ['1', '3'] });
+                        })
+                        .then(() => user.setGroupState(2, { kelvin: 2000 }))
+                        .then(() => {
+                            expect(reads()).toEqual(['/groups/2', '/lights/1', '/lights/3', '/groups/2']);
+                            done();
+                        });
+                });
+
+                it('translates Kelvin in generated commands', done => {
+                    var user = jsHueUser(fetchSpy([]));
+
+                    Promise.all([
+                        user.scheduleCommandGenerator().setLightState(1, { on: true, kelvin: 2700 }),
+                        user.ruleActionGenerator().setGroupState(1, { kelvin: 2700 })
+                    ]).then(([command, action]) => {
+                        expect(command).toEqual({ address: `/api/${USER}/lights/1/state`, method: 'PUT', body: { on: true, ct: 370 } });
+                        expect(action).toEqual({ address: '/groups/1/action', method: 'PUT', body: { ct: 370 } });
+                        done();
+                    });
+                });
+
+                it('sets Kelvin on light objects', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        spot = jsHueUser(fetch).light(2);
+
+                    spot.refresh().then(() => spot.kelvin(2000).commit()).then(() => {
+                        expect(fetch.calls.mostRecent().args).toEqual([`${USER_URL}/lights/2/state`, { method: 'PUT', body: JSON.stringify({ ct: 454 }) }]);
+                        done();
+                    });
+                });
+            });
+
+            describe('animations', () => {
+                const FAST = { lightRate: 1000, groupRate: 1000 };
+
+                var lights = {
+                    "1": { "state": { "on": true, "bri": 100, "xy": [0.4, 0.4], "ct": 300, "colormode": "xy" } },
+                    "2": { "state": { "on": false, "bri": 254, "ct": 366, "colormode": "ct" } },
+                    "3": { "state": { "on": true, "bri": 200, "hue": 1000, "sat": 100, "colormode": "hs" } }
+                };
+
+                var groups = { "1": { "lights": ["3"] } };
+
+                it('plays keyframes and restores the previous states', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        keyframe = jasmine.createSpy('keyframe'),
+                        keyframes = [{ on: true, bri: 254, transition: 0, duration: 10 }, { bri: 50, transition: 200, duration: 10 }];
+
+                    jsHueUser(fetch).animate({ lights: [1, 2], keyframes }, { scheduler: FAST }).on('keyframe', keyframe).then(result => {
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/lights`, { method: 'GET', body: null });
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/1/state', { on: true, bri: 254, transitiontime: 0 }],
+                            ['/lights/2/state', { on: true, bri: 254, transitiontime: 0 }],
+                            ['/lights/1/state', { bri: 50, transitiontime: 2 }],
+                            ['/lights/2/state', { bri: 50, transitiontime: 2 }],
+                            ['/lights/1/state', { on: true, bri: 100, xy: [0.4, 0.4] }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        expect(keyframe.calls.allArgs().map(args => args[0].index)).toEqual([0, 1]);
+                        expect(result).toEqual({ cancelled: false, loops: 1 });
+                        done();
+                    });
+                });
+
+                it('animates groups and restores their lights', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).animate({ groups: [1], keyframes: [{ on: false, duration: 5 }] }, { loop: 2, scheduler: FAST }).then(result => {
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/groups/1`, { method: 'GET', body: null });
+                        expect(fetch.writes()).toEqual([
+                            ['/groups/1/action', { on: false }],
+                            ['/groups/1/action', { on: false }],
+                            ['/lights/3/state', { on: true, bri: 200, hue: 1000, sat: 100 }]
+                        ]);
+                        expect(result).toEqual({ cancelled: false, loops: 2 });
+                        done();
+                    });
+                });
+
+                it('restores lights that stay off without rejecting their color', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        user = jsHueAPI(fetch, Response, JSON, Promise, { rejectErrors: true }).bridge(BRIDGE_IP).user(USER);
+
+                    user.animate({ lights: [2], keyframes: [{ on: false, duration: 5 }] }, { scheduler: FAST }).then(result => {
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/2/state', { on: false }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        expect(result).toEqual({ cancelled: false, loops: 1 });
+                        done();
+                    });
+                });
+
+                it('loops until cancelled', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        count = 0,
+                        animation = jsHueUser(fetch).animate({ lights: [1], keyframes: [{ bri: 1, duration: 5 }, { bri: 254, duration: 5 }] }, { loop: true, scheduler: FAST });
+
+                    animation.on('keyframe', () => {
+                        if(++count === 5) {
+                            animation.cancel();
+                        }
+                    }).then(result => {
+                        expect(fetch.writes().length).toBe(6);
+                        expect(fetch.writes()[5]).toEqual(['/lights/1/state', { on: true, bri: 100, xy: [0.4, 0.4] }]);
+                        expect(result).toEqual({ cancelled: true, loops: 2 });
+                        done();
+                    });
+                });
+
+                it('pauses and resumes', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        animation = jsHueUser(fetch).animate({ lights: [1], keyframes: [{ bri: 1, duration: 20 }, { bri: 2, duration: 0 }] }, { restore: false, scheduler: FAST });
+
+                    animation.on('keyframe', event => {
+                        if(event.index === 0) {
+                            animation.pause();
+                            setTimeout(() => {
+                                expect(fetch.writes().length).toBe(1);
+                                animation.resume();
+                            }, 60);
+                        }
+                    }).then(() => {
+                        expect(fetch.writes()).toEqual([['/lights/1/state', { bri: 1 }], ['/lights/1/state', { bri: 2 }]]);
+                        expect(fetch.calls.count()).toBe(2);
+                        done();
+                    });
+                });
+
+                it('uses the scheduler of the user', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        user = jsHueBridge(fetch).user(USER, { scheduler: FAST });
+
+                    user.animate({ lights: [1, 2], keyframes: [{ bri: 10 }] }, { restore: false }).then(() => {
+                        expect(user.getQueueStats().sent).toBe(2);
+                        done();
+                    });
+                });
+
+                it('restores the previous states after errors', done => {
+                    var fetch = fakeBridge({ lights, groups }),
+                        user = jsHueUser(fetch);
+
+                    user.animate({ lights: [1], keyframes: [{ hex: 'nope' }] }, { scheduler: FAST }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueError));
+                        expect(fetch.writes()).toEqual([['/lights/1/state', { on: true, bri: 100, xy: [0.4, 0.4] }]]);
+                        done();
+                    });
+                });
+            });
+
+            describe('temporary states', () => {
+                var lights = {
+                    "1": { "state": { "on": true, "bri": 100, "hue": 1000, "sat": 100, "xy": [0.4, 0.4], "colormode": "hs", "reachable": true } },
+                    "2": { "state": { "on": false, "bri": 254, "ct": 366, "colormode": "ct", "reachable": true } },
+                    "3": { "state": { "on": true, "bri": 200, "ct": 300, "colormode": "ct", "reachable": false } }
+                };
+
+                var groups = { "1": { "lights": ["2", "3"] } };
+
+                it('applies and restores states', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).withTemporaryState({ lights: [1], groups: [1] }, { on: true, bri: 254 }, 10).then(result => {
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/groups/1`, { method: 'GET', body: null });
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/lights/1`, { method: 'GET', body: null });
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/1/state', { on: true, bri: 254 }],
+                            ['/groups/1/action', { on: true, bri: 254 }],
+                            ['/lights/1/state', { on: true, bri: 100, hue: 1000, sat: 100 }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        expect(result).toEqual({ restored: ['1', '2'], unreachable: ['3'] });
+                        done();
+                    });
+                });
+
+                it('restores the color of lights that were off', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).withTemporaryState({ lights: [2] }, { on: true, hex: '#ff0000' }, 0).then(() => {
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/2/state', { on: true, xy: hueColor.toXy('#ff0000') }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('accepts device-off errors for lights that stay off', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).withTemporaryState({ lights: [2] }, { on: false }, 0).then(result => {
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/2/state', { on: false }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        expect(result).toEqual({ restored: ['2'], unreachable: [] });
+                        done();
+                    });
+                });
+
+                it('skips unreachable lights', done => {
+                    var fetch = fakeBridge({ lights, groups });
+
+                    jsHueUser(fetch).withTemporaryState({ lights: [3] }, { on: false }, 0).then(result => {
+                        expect(fetch.writes()).toEqual([]);
+                        expect(result).toEqual({ restored: [], unreachable: ['3'] });
+                        done();
+                    });
+                });
+
+                it('restores states when the temporary state fails', done => {
+                    var fetch = fakeBridge({ lights, groups }, '/lights/1/state');
+
+                    jsHueUser(fetch).withTemporaryState({ lights: [1, 2] }, { on: true }, 0).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueDeviceOffError));
+                        expect(fetch.writes().slice(2)).toEqual([
+                            ['/lights/1/state', { on: true, bri: 100, hue: 1000, sat: 100 }],
+                            ['/lights/2/state', { on: false, bri: 254, ct: 366 }]
+                        ]);
+                        done();
+                    });
+                });
+            });
+
+            describe('adaptive lighting', () => {
+                const OPTIONS = { latitude: 51.5, longitude: 0, groups: [1], kelvin: [2500, 2500], bri: [150, 150], interval: 1 };
+
+                var light = (on, colormode = 'ct') => ({ state: { on, bri: 150, ct: 400, xy: [0.3, 0.3], colormode } });
+
+                // Bridge serving the given light snapshots one per update and group 1 (lights 1-3)
+                var adaptiveFetch = (...snapshots) => {
+                    var polls = 0;
+
+                    return fakeBridge({
+                        lights: () => snapshots[Math.min(polls++, snapshots.length - 1)],
+                        groups: { "1": { "lights": ["1", "2", "3"] } }
+                    });
+                };
+
+                it('updates groups', done => {
+                    var fetch = adaptiveFetch({ "1": light(true), "2": light(true, 'xy'), "3": light(true) }),
+                        controller = jsHueUser(fetch).adaptiveLighting(OPTIONS);
+
+                    controller.on('update', event => {
+                        controller.stop();
+                        expect(fetch.writes()).toEqual([['/groups/1/action', { bri: 150, ct: 400, transitiontime: 40 }]]);
+                        expect(event.ct).toBe(400);
+                        expect(event.bri).toBe(150);
+                        expect(event.updated).toEqual(['1', '2', '3']);
+                        expect(event.overridden).toEqual([]);
+                        done();
+                    });
+                });
+
+                it('updates the lights that are on if others are off', done => {
+                    var fetch = adaptiveFetch({ "1": light(true), "2": light(true, 'xy'), "3": light(false) }),
+                        controller = jsHueUser(fetch).adaptiveLighting(OPTIONS);
+
+                    controller.on('update', event => {
+                        controller.stop();
+                        expect(fetch.writes()).toEqual([
+                            ['/lights/1/state', { bri: 150, ct: 400, transitiontime: 40 }],
+                            ['/lights/2/state', { bri: 150, ct: 400, transitiontime: 40 }]
+                        ]);
+                        expect(event.updated).toEqual(['1', '2']);
+                        done();
+                    });
+                });
+
+                it('skips overridden lights until they are turned off', done => {
+                    var fetch = adaptiveFetch(
+                            { "1": light(true), "2": light(true), "3": light(true) },
+                            { "1": light(true), "2": light(true, 'xy'), "3": light(false) },
+                            { "1": light(true), "2": light(false), "3": light(false) }
+                        ),
+                        controller = jsHueUser(fetch).adaptiveLighting(OPTIONS),
+                        events = [];
+
+                    controller.on('update', event => {
+                        events.push(event);
+                        if(events.length === 3) {
+                            controller.stop();
+                            expect(fetch.writes()).toEqual([
+                                ['/groups/1/action', { bri: 150, ct: 400, transitiontime: 40 }],
+                                ['/lights/1/state', { bri: 150, ct: 400, transitiontime: 40 }],
+                                ['/lights/1/state', { bri: 150, ct: 400, transitiontime: 40 }]
+                            ]);
+                            expect(events.map(e => e.overridden)).toEqual([[], ['2'], []]);
+                            expect(events.map(e => e.updated)).toEqual([['1', '2', '3'], ['1'], ['1']]);
+                            done();
+                        }
+                    });
+                });
+
+                it('emits errors and keeps updating', done => {
+                    var fetch = adaptiveFetch([{ error: { type: 1, address: '/lights', description: 'unauthorized user' } }], { "1": light(true) }),
+                        controller = jsHueUser(fetch).adaptiveLighting(OPTIONS),
+                        error = jasmine.createSpy('error');
+
+                    controller.on('error', error);
+                    controller.on('update', () => {
+                        controller.stop();
+                        expect(error).toHaveBeenCalledWith(jasmine.any(HueUnauthorizedUserError));
+                        done();
+                    });
+                });
+            });
+
+            describe('group model', () => {
+                const GROUPS_URL = `${USER_URL}/groups`;
+
+                var groups = {
+                    "0": { "name": "Group 0", "lights": ["1", "2", "3", "4"], "type": "LightGroup", "state": { "all_on": false, "any_on": true }, "action": { "on": true, "bri": 254 } },
+                    "1": { "name": "Living room", "lights": ["1", "2"], "type": "Room", "class": "Living room", "state": { "all_on": false, "any_on": true }, "action": { "on": true, "bri": 254 } },
+                    "2": { "name": "Reading corner", "lights": ["2"], "type": "Zone", "class": "Reading", "state": { "all_on": true, "any_on": true }, "action": { "on": true, "bri": 200 } },
+                    "3": { "name": "Kitchen", "lights": ["3", "4"], "type": "Room", "class": "Kitchen", "state": { "all_on": false, "any_on": false }, "action": { "on": false, "bri": 100 } },
+                    "4": { "name": "Entertainment", "lights": ["1"], "type": "Entertainment", "state": { "all_on": false, "any_on": true }, "action": { "on": true, "bri": 254 } }
+                };
+
+                it('gets rooms and zones', done => {
+                    var fetch = fakeBridge({ groups }),
+                        user = jsHueUser(fetch);
+
+                    Promise.all([user.rooms(), user.zones()]).then(([rooms, zones]) => {
+                        expect(fetch).toHaveBeenCalledWith(GROUPS_URL, { method: 'GET', body: null });
+                        expect(rooms.map(r => r.id)).toEqual(['1', '3']);
+                        expect(zones.map(z => z.id)).toEqual(['2']);
+                        expect(rooms.map(r => [r.getName(), r.getType(), r.getClass(), r.getLights(), r.isAnyOn(), r.isAllOn()])).toEqual([
+                            ['Living room', 'Room', 'Living room', ['1', '2'], true, false],
+                            ['Kitchen', 'Room', 'Kitchen', ['3', '4'], false, false]
+                        ]);
+                        expect(zones[0].getData()).toEqual(groups[2]);
+                        done();
+                    });
+                });
+
+                it('adds lights', done => {
+                    var fetch = fakeBridge({ groups }),
+                        room = jsHueUser(fetch).group(1);
+
+                    room.addLights(['3', 2]).then(() => {
+                        expect(fetch.calls.count()).toBe(2);
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/1`, { method: 'GET', body: null });
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/1`, { method: 'PUT', body: JSON.stringify({ lights: ['1', '2', '3'] }) });
+                        expect(room.getLights()).toEqual(['1', '2', '3']);
+                        done();
+                    });
+                });
+
+                it('removes lights', done => {
+                    var fetch = fakeBridge({ groups });
+
+                    jsHueUser(fetch).rooms().then(rooms => rooms[1].removeLights(4)).then(() => {
+                        expect(fetch.calls.count()).toBe(2);
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/3`, { method: 'PUT', body: JSON.stringify({ lights: ['3'] }) });
+                        done();
+                    });
+                });
+
+                it('sets valid room classes', done => {
+                    var fetch = fakeBridge({ groups }),
+                        room = jsHueUser(fetch).group(1);
+
+                    room.setClass('Office').then(() => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/1`, { method: 'PUT', body: JSON.stringify({ class: 'Office' }) });
+                        return room.setClass('Dungeon');
+                    }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueError));
+                        expect(fetch.calls.count()).toBe(1);
                         done();
                     });
                 });
 
-                it('sets group state', done => {
-                    var id = 1,
-                        body = {
-                            "on": true,
-                            "hue": 2000,
-                            "effect": "colorloop"
-                        },
-                        response = [
-                            {"success":{ "address": "/groups/1/action/on", "value": true}},
-                            {"success":{ "address": "/groups/1/action/effect", "value":"colorloop"}},
-                            {"success":{ "address": "/groups/1/action/hue", "value":6000}}
-                        ],
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                it('sets the group state and updates the cache', done => {
+                    var fetch = fakeBridge({ groups }),
+                        room = jsHueUser(fetch).group(1);
 
-                    user.setGroupState(id, body).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}/action`, { method: 'PUT', body: JSON.stringify(body) });
-                        expect(data).toEqual(response);
+                    room.refresh().then(() => room.setState({ bri: 50 })).then(() => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/1/action`, { method: 'PUT', body: JSON.stringify({ bri: 50 }) });
+                        expect(room.getData().action).toEqual({ on: true, bri: 50 });
                         done();
                     });
                 });
 
-                it('deletes a group', done => {
-                    var id = 1,
-                        response = [{"success": "/groups/1 deleted."}],
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                it('sets the state of group 0 but does not modify it', done => {
+                    var fetch = fakeBridge({ groups }),
+                        all = jsHueUser(fetch).group(0);
 
-                    user.deleteGroup(id).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/${id}`, { method: 'DELETE', body: null });
-                        expect(data).toEqual(response);
+                    all.setState({ on: false }).then(() => {
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/0/action`, { method: 'PUT', body: JSON.stringify({ on: false }) });
+                        return Promise.all([all.addLights(5), all.removeLights(1), all.setClass('Home')].map(p => p.catch(error => error)));
+                    }).then(errors => {
+                        errors.forEach(error => expect(error).toEqual(jasmine.any(HueError)));
+                        expect(fetch.calls.count()).toBe(1);
                         done();
                     });
                 });
@@ -557,6 +2633,109 @@ describe('jsHue', () => {
                 });
             });
 
+            describe('routines', () => {
+                const SCHEDULES_URL = `${USER_URL}/schedules`;
+
+                // Bridge assigning consecutive schedule IDs, optionally failing at one
+                var routineFetch = (failing = null) => {
+                    var id = 0;
+
+                    return fetchRoute((url, init) => init.method !== 'POST' ? [{ success: `${url} deleted` }]
+                        : ++id === failing ? [{ error: { type: 301, address: '/schedules', description: 'too many schedules' } }]
+                        : [{ success: { id: String(id) } }]);
+                };
+
+                var created = fetch => fetch.calls.allArgs()
+                    .filter(([url, init]) => init.method === 'POST')
+                    .map(([url, init]) => JSON.parse(init.body));
+
+                it('creates wake-up routines', done => {
+                    var fetch = routineFetch();
+
+                    jsHueUser(fetch).createWakeUp({ time: new Date(2026, 9, 20, 7, 0, 0), lights: [1], groups: [2] }).then(routine => {
+                        var description = 'jsHue routine Wake up',
+                            light = `/api/${USER}/lights/1/state`,
+                            group = `/api/${USER}/groups/2/action`;
+
+                        expect(created(fetch)).toEqual([
+                            { name: 'Wake up', description, localtime: '2026-10-20T06:29:59',
+                                command: { address: light, method: 'PUT', body: { on: true, bri: 1, ct: 500, transitiontime: 0 } } },
+                            { name: 'Wake up', description, localtime: '2026-10-20T06:29:59',
+                                command: { address: group, method: 'PUT', body: { on: true, bri: 1, ct: 500, transitiontime: 0 } } },
+                            { name: 'Wake up', description, localtime: '2026-10-20T06:30:00',
+                                command: { address: light, method: 'PUT', body: { bri: 254, ct: 250, transitiontime: 18000 } } },
+                            { name: 'Wake up', description, localtime: '2026-10-20T06:30:00',
+                                command: { address: group, method: 'PUT', body: { bri: 254, ct: 250, transitiontime: 18000 } } }
+                        ]);
+                        expect(routine.name).toBe('Wake up');
+                        expect(routine.schedules).toEqual(['1', '2', '3', '4']);
+                        done();
+                    });
+                });
+
+                it('splits long wind-down routines into recurring steps', done => {
+                    var fetch = routineFetch(),
+                        options = { name: 'Night', time: new Date(2026, 9, 19, 1, 0, 0), duration: 3 * 3600000, lights: [1], days: 64 };
+
+                    jsHueUser(fetch).createWindDown(options).then(() => {
+                        expect(created(fetch).map(body => [body.localtime, body.command.body])).toEqual([
+                            ['W1/T22:00:00', { bri: 128, ct: 375, transitiontime: 54000 }],
+                            ['W1/T23:30:00', { bri: 1, ct: 500, transitiontime: 54000 }],
+                            ['W64/T01:00:00', { on: false }]
+                        ]);
+                        done();
+                    });
+                });
+
+                it('deletes routines', done => {
+                    var fetch = routineFetch();
+
+                    jsHueUser(fetch).createWindDown({ time: '2026-10-19T23:00:00', lights: [1] }).then(routine => routine.remove()).then(ids => {
+                        expect(ids).toEqual(['1', '2']);
+                        expect(fetch).toHaveBeenCalledWith(`${SCHEDULES_URL}/1`, { method: 'DELETE', body: null });
+                        expect(fetch).toHaveBeenCalledWith(`${SCHEDULES_URL}/2`, { method: 'DELETE', body: null });
+                        done();
+                    });
+                });
+
+                it('deletes created schedules when a schedule cannot be created', done => {
+                    var fetch = routineFetch(3);
+
+                    jsHueUser(fetch).createWakeUp({ time: '2026-10-20T07:00:00', lights: [1, 2] }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueApiError));
+                        expect(fetch.calls.count()).toBe(5);
+                        expect(fetch).toHaveBeenCalledWith(`${SCHEDULES_URL}/1`, { method: 'DELETE', body: null });
+                        expect(fetch).toHaveBeenCalledWith(`${SCHEDULES_URL}/2`, { method: 'DELETE', body: null });
+                        done();
+                    });
+                });
+
+                it('rejects invalid times', done => {
+                    var fetch = routineFetch();
+
+                    jsHueUser(fetch).createWakeUp({ time: 'tomorrow', lights: [1] }).catch(error => {
+                        expect(error).toEqual(jasmine.any(HueError));
+                        expect(fetch).not.toHaveBeenCalled();
+                        done();
+                    });
+                });
+
+                it('removes routines by name', done => {
+                    var schedules = {
+                            "1": { "name": "Wake up", "description": "jsHue routine Wake up" },
+                            "2": { "name": "Alarm", "description": "" },
+                            "3": { "name": "Wake up", "description": "jsHue routine Wake up" }
+                        },
+                        fetch = fetchRoute((url, init) => init.method === 'GET' ? schedules : [{ success: `${url} deleted` }]);
+
+                    jsHueUser(fetch).removeRoutine('Wake up').then(ids => {
+                        expect(ids).toEqual(['1', '3']);
+                        expect(fetch.calls.count()).toBe(3);
+                        done();
+                    });
+                });
+            });
+
             describe('scenes API', () => {
                 const SCENES_URL = `${USER_URL}/scenes`;
 
@@ -1306,119 +3485,503 @@ describe('jsHue', () => {
                         },
                         response = [{"success":{"id": "3"}}],
                         fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                        user = jsHueUser(fetch);
+
+                    user.createResourceLink(body).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(LINKS_URL, { method: 'POST', body: JSON.stringify(body) });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+
+                it('gets resourcelink attributes', done => {
+                    var id = 1,
+                        response = {
+                            "name": "Sunrise",
+                            "description": "Carla's wakeup experience",
+                            "type":"Link",
+                            "class": 1,
+                            "owner": "83b7780291a6ceffbe0bd049104df",
+                            "links": ["/schedules/2", "/schedules/3",
+                                      "/scenes/ABCD", "/scences/EFGH", "/groups/8"]
+                        },
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.getResourceLink(id).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'GET', body: null });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+
+                it('sets resourcelink attributes', done => {
+                    var id = 1,
+                        body = {
+                            "name": "Sunrise",
+                            "description": "Carla's wakeup experience",
+                        },
+                        response = [
+                            {"success": {"/resourcelinks/1/name": "Sunrise"}},
+                            {"success": {"/resourcelinks/1/description": "Carla's wakeup experience"}}
+                        ],
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.setResourceLink(id, body).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(body) });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+
+                it('deletes a resourcelink', done => {
+                    var id = 1,
+                        response = [{"success": "/resourcelinks/1 deleted."}],
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.deleteResourceLink(id).then(data => {
+                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'DELETE', body: null });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+            });
+
+            describe('capabilities API', () => {
+                const CAPABILITIES_URL = `${USER_URL}/capabilities`;
+
+                it('gets all capabilities', done => {
+                    var response = {
+                            "lights":{
+                                "available": 10,
+                            },
+                            "sensors":{
+                                "availble": 60,
+                                "clip": {
+                                    "available": 60,
+                                },
+                                "zll": {
+                                    "available": 60,
+                                },
+                                "zgp": {
+                                    "available": 60
+                                }
+                            },
+                            "groups": {},
+                            "scenes": {
+                                "available": 100,
+                                "lightstates": {
+                                    "available": 1500
+                                }
+                            },
+                            "rules": {},
+                            "schedules": {},
+                            "resourcelinks": {},
+                            "whitelists": {},
+                            "timezones": {
+                                "values":[
+                                    "Africa/Abidjan",
+                                    "Africa/Accra",
+                                     "Pacific/Wallis",
+                                     "US/Pacific-New"
+                                 ]
+                            }
+                        },
+                        fetch = fetchSpy(response),
+                        user = jsHueUser(fetch);
+
+                    user.getCapabilities().then(data => {
+                        expect(fetch).toHaveBeenCalledWith(CAPABILITIES_URL, { method: 'GET', body: null });
+                        expect(data).toEqual(response);
+                        done();
+                    });
+                });
+            });
+
+            describe('scheduler', () => {
+                const LIGHTS_URL = `${USER_URL}/lights`,
+                        GROUPS_URL = `${USER_URL}/groups`;
+
+                var jsHueScheduledUser = (fetch, scheduler) => jsHueBridge(fetch).user(USER, { scheduler });
+
+                var after = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+                it('is disabled by default', () => {
+                    expect(jsHueUser(fetchSpy({})).getQueueStats()).toBe(null);
+                });
+
+                it('spaces light commands by the light rate', done => {
+                    var times = [],
+                        fetch = fetchSpy([]).and.callFake(() => {
+                            times.push(Date.now());
+                            return Promise.resolve(new Response('[]'));
+                        }),
+                        user = jsHueScheduledUser(fetch, { lightRate: 20 });
+
+                    var requests = [1, 2, 3].map(id => user.setLightState(id, { on: true }));
+
+                    expect(user.getQueueStats().lights).toBe(2);
+
+                    after(10).then(() => {
+                        expect(fetch.calls.count()).toBe(1);
+                        return Promise.all(requests);
+                    }).then(() => {
+                        expect(fetch.calls.allArgs().map(args => args[0])).toEqual([1, 2, 3].map(id => `${LIGHTS_URL}/${id}/state`));
+                        expect(times[1] - times[0]).not.toBeLessThan(45);
+                        expect(times[2] - times[1]).not.toBeLessThan(45);
+                        expect(user.getQueueStats()).toEqual({ depth: 0, lights: 0, groups: 0, sent: 3, coalesced: 0, dropped: 0 });
+                        done();
+                    });
+                });
+
+                it('keeps separate light and group budgets', done => {
+                    var fetch = fetchSpy([]),
+                        user = jsHueScheduledUser(fetch, { lightRate: 1000, groupRate: 0.1 });
+
+                    user.setGroupState(1, { on: true });
+                    user.setGroupState(2, { on: true });
+
+                    Promise.all([1, 2, 3].map(id => user.setLightState(id, { on: true }))).then(() => {
+                        expect(fetch.calls.count()).toBe(4);
+                        expect(fetch).toHaveBeenCalledWith(`${GROUPS_URL}/1/action`, { method: 'PUT', body: JSON.stringify({ on: true }) });
+                        expect(fetch).not.toHaveBeenCalledWith(`${GROUPS_URL}/2/action`, jasmine.anything());
+                        expect(user.getQueueStats().groups).toBe(1);
+                        done();
+                    });
+                });
+
+                it('coalesces superseded state writes to the same light', done => {
+                    var response = [{"success":{"/lights/2/state/bri":100}},{"success":{"/lights/2/state/hue":5000}}],
+                        fetch = fetchSpy(response),
+                        user = jsHueScheduledUser(fetch, { lightRate: 20 });
+
+                    user.setLightState(1, { on: true });
+
+                    Promise.all([
+                        user.setLightState(2, { bri: 50, hue: 5000 }),
+                        user.setLightState(2, { bri: 100 })
+                    ]).then(data => {
+                        expect(fetch.calls.count()).toBe(2);
+                        expect(fetch).toHaveBeenCalledWith(`${LIGHTS_URL}/2/state`, { method: 'PUT', body: JSON.stringify({ bri: 100, hue: 5000 }) });
+                        expect(data).toEqual([response, response]);
+                        expect(user.getQueueStats().coalesced).toBe(1);
+                        done();
+                    });
+                });
+
+                it('rejects aborted callers of a coalesced write', done => {
+                    var fetch = fetchSpy([]),
+                        user = jsHueScheduledUser(fetch, { lightRate: 20 }),
+                        controller = new AbortController();
+
+                    user.setLightState(1, { on: true });
+
+                    var aborted = user.setLightState(2, { bri: 50, hue: 5000 }, { signal: controller.signal }),
+                        waiting = user.setLightState(2, { bri: 100 });
+
+                    controller.abort();
+
+                    aborted.catch(e => {
+                        expect(e).toEqual(jasmine.any(HueAbortError));
+                        return waiting;
+                    }).then(() => {
+                        expect(fetch.calls.count()).toBe(2);
+                        expect(fetch).toHaveBeenCalledWith(`${LIGHTS_URL}/2/state`, { method: 'PUT', body: JSON.stringify({ bri: 100 }) });
+                        done();
+                    });
+                });
+
+                it('does not send writes whose callers all aborted', done => {
+                    var fetch = fetchSpy([]),
+                        user = jsHueScheduledUser(fetch, { lightRate: 20 }),
+                        controller = new AbortController(),
+                        options = { signal: controller.signal };
+
+                    user.setLightState(1, { on: true });
+
+                    var writes = [user.setLightState(2, { bri: 50 }, options), user.setLightState(2, { bri: 100 }, options)]
+                        .map(write => write.catch(e => e));
+
+                    controller.abort();
+
+                    Promise.all(writes).then(errors => {
+                        expect(errors).toEqual([jasmine.any(HueAbortError), jasmine.any(HueAbortError)]);
+                        expect(user.getQueueStats().lights).toBe(0);
+                        return after(100);
+                    }).then(() => {
+                        expect(fetch.calls.count()).toBe(1);
+                        done();
+                    });
+                });
+
+                it('drops commands beyond the maximum queue depth', done => {
+                    var fetch = fetchSpy([]),
+                        user = jsHueScheduledUser(fetch, { lightRate: 20, maxDepth: 1 });
+
+                    user.setLightState(1, { on: true });
+                    user.setLightState(2, { on: true });
+
+                    user.setLightState(3, { on: true }).then(
+                        () => {
+                            fail('This should not be called');
+                            done();
+                        },
+                        e => {
+                            expect(e).toEqual(jasmine.any(HueQueueFullError));
+                            expect(e.depth).toBe(1);
+                            expect(user.getQueueStats()).toEqual(jasmine.objectContaining({ depth: 1, dropped: 1 }));
+                            done();
+                        }
+                    );
+                });
+            });
+
+            describe('watcher', () => {
+                var light = (on, bri) => ({ name: 'Hue Lamp', state: { on, bri, reachable: true } }),
+                    dimmer = (buttonevent, lastupdated) => ({ name: 'Dimmer', state: { buttonevent, lastupdated } }),
+                    motion = presence => ({ name: 'Motion', state: { presence, lastupdated: '2026-10-19T07:00:00' } }),
+                    group = any_on => ({ name: 'Room', lights: ['1'], state: { any_on, all_on: any_on }, action: { on: any_on } });
+
+                var states = (...snapshots) => {
+                    var polls = 0;
+                    return jasmine.createSpy('fetch', fetch).and.callFake(() =>
+                        Promise.resolve(new Response(JSON.stringify(snapshots[Math.min(polls++, snapshots.length - 1)]))));
+                };
+
+                it('emits light state changes', done => {
+                    var fetch = states(
+                            { lights: { "1": light(true, 100), "2": light(false, 0) } },
+                            { lights: { "1": light(true, 200), "2": light(false, 0) } }
+                        ),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 }),
+                        changes = jasmine.createSpy('change');
+
+                    watcher.on('change', changes);
+                    watcher.on('light:state', event => {
+                        watcher.stop();
+                        expect(fetch).toHaveBeenCalledWith(USER_URL, { method: 'GET', body: null });
+                        expect(event.kind).toBe('light');
+                        expect(event.id).toBe('1');
+                        expect(event.previous).toEqual(light(true, 100));
+                        expect(event.current).toEqual(light(true, 200));
+                        expect(event.changes).toEqual([{ path: ['state', 'bri'], previous: 100, current: 200 }]);
+                        expect(changes.calls.count()).toBe(1);
+                        done();
+                    });
+                });
+
+                it('emits sensor events', done => {
+                    var fetch = states(
+                            { sensors: { "2": dimmer(1002, '2026-10-19T07:00:00'), "3": motion(false) } },
+                            { sensors: { "2": dimmer(1002, '2026-10-19T07:00:05'), "3": motion(true) } }
+                        ),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 }),
+                        buttons = [];
+
+                    watcher.on('sensor:buttonevent', event => buttons.push(event));
+                    watcher.on('sensor:presence', event => {
+                        watcher.stop();
+                        expect(event.id).toBe('3');
+                        expect(event.changes).toEqual([{ path: ['state', 'presence'], previous: false, current: true }]);
+                        expect(buttons.length).toBe(1);
+                        expect(buttons[0].id).toBe('2');
+                        expect(buttons[0].current.state.buttonevent).toBe(1002);
+                        done();
+                    });
+                });
+
+                it('emits group events', done => {
+                    var fetch = states({ groups: { "1": group(false) } }, { groups: { "1": group(true) } }),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 }),
+                        actions = jasmine.createSpy('action');
+
+                    watcher.on('group:action', actions);
+                    watcher.on('group:any_on', event => {
+                        watcher.stop();
+                        expect(event.id).toBe('1');
+                        expect(event.current.state.any_on).toBe(true);
+                        expect(actions).toHaveBeenCalled();
+                        done();
+                    });
+                });
+
+                it('emits added and removed resources', done => {
+                    var fetch = states(
+                            { lights: { "1": light(true, 100) }, sensors: {} },
+                            { lights: { "2": light(true, 100) }, sensors: {} }
+                        ),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 }),
+                        removed = [];
+
+                    watcher.on('resource:removed', event => removed.push(event));
+                    watcher.on('resource:added', event => {
+                        watcher.stop();
+                        expect(removed).toEqual([{ kind: 'light', id: '1', resource: light(true, 100) }]);
+                        expect(event).toEqual({ kind: 'light', id: '2', resource: light(true, 100) });
+                        done();
+                    });
+                });
+
+                it('polls selected resources', done => {
+                    var fetch = fetchSpy({ "1": light(true, 100) }),
+                        watcher = jsHueUser(fetch).watch({ interval: 1, resources: ['lights', 'sensors'] });
+
+                    watcher.on('poll', state => {
+                        watcher.stop();
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/lights`, { method: 'GET', body: null });
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/sensors`, { method: 'GET', body: null });
+                        expect(state).toEqual({ lights: { "1": light(true, 100) }, sensors: { "1": light(true, 100) } });
+                        done();
+                    });
+                });
+
+                it('emits errors and keeps polling', done => {
+                    var fetch = states(
+                            [{"error":{"type":1,"address":"/","description":"unauthorized user"}}],
+                            { lights: {} }
+                        ),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 }),
+                        errors = [];
+
+                    watcher.on('error', e => errors.push(e));
+                    watcher.on('poll', () => {
+                        watcher.stop();
+                        expect(errors.length).toBe(1);
+                        expect(errors[0]).toEqual(jasmine.any(HueUnauthorizedUserError));
+                        done();
+                    });
+                });
+
+                it('stops polling', done => {
+                    var fetch = fetchSpy({}),
+                        watcher = jsHueUser(fetch).watch({ interval: 1 });
+
+                    watcher.stop();
+
+                    setTimeout(() => {
+                        expect(fetch.calls.count()).toBe(1);
+                        done();
+                    }, 20);
+                });
+            });
+
+            describe('middleware', () => {
+                const LIGHTS_URL = `${USER_URL}/lights`;
+
+                it('sees requests and parsed responses', done => {
+                    var body = { on: true },
+                        response = [{"success":{"/lights/1/state/on":true}}],
+                        fetch = fetchSpy(response),
+                        hue = jsHue(fetch),
+                        seen = [];
 
-                    user.createResourceLink(body).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(LINKS_URL, { method: 'POST', body: JSON.stringify(body) });
+                    hue.use((request, next) => next().then(data => {
+                        seen.push({ method: request.method, url: request.url, data: request.data, response: data });
+                        return data;
+                    }));
+
+                    hue.bridge(BRIDGE_IP).user(USER).setLightState(1, body).then(data => {
+                        expect(seen).toEqual([{ method: 'PUT', url: `${LIGHTS_URL}/1/state`, data: body, response }]);
                         expect(data).toEqual(response);
                         done();
                     });
                 });
 
-                it('gets resourcelink attributes', done => {
-                    var id = 1,
-                        response = {
-                            "name": "Sunrise",
-                            "description": "Carla's wakeup experience",
-                            "type":"Link",
-                            "class": 1,
-                            "owner": "83b7780291a6ceffbe0bd049104df",
-                            "links": ["/schedules/2", "/schedules/3",
-                                      "/scenes/ABCD", "/scences/EFGH", "/groups/8"]
-                        },
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                it('can mutate outgoing requests', done => {
+                    var fetch = fetchSpy([]),
+                        hue = jsHue(fetch);
 
-                    user.getResourceLink(id).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'GET', body: null });
-                        expect(data).toEqual(response);
+                    hue.use((request, next) => {
+                        request.url = request.url.replace('/lights/1/', '/lights/2/');
+                        request.data = Object.assign({ transitiontime: 0 }, request.data);
+                        return next();
+                    });
+
+                    hue.bridge(BRIDGE_IP).user(USER).setLightState(1, { on: true }).then(() => {
+                        expect(fetch).toHaveBeenCalledWith(`${LIGHTS_URL}/2/state`, { method: 'PUT', body: JSON.stringify({ transitiontime: 0, on: true }) });
                         done();
                     });
                 });
 
-                it('sets resourcelink attributes', done => {
-                    var id = 1,
-                        body = {
-                            "name": "Sunrise",
-                            "description": "Carla's wakeup experience",
-                        },
-                        response = [
-                            {"success": {"/resourcelinks/1/name": "Sunrise"}},
-                            {"success": {"/resourcelinks/1/description": "Carla's wakeup experience"}}
-                        ],
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                it('can pass replacement requests to next', done => {
+                    var fetch = fetchSpy({}),
+                        hue = jsHue(fetch);
 
-                    user.setResourceLink(id, body).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(body) });
-                        expect(data).toEqual(response);
+                    hue.use((request, next) => next(Object.assign({}, request, { url: `${USER_URL}/config` })));
+
+                    hue.bridge(BRIDGE_IP).user(USER).getLights().then(() => {
+                        expect(fetch).toHaveBeenCalledWith(`${USER_URL}/config`, { method: 'GET', body: null });
                         done();
                     });
                 });
 
-                it('deletes a resourcelink', done => {
-                    var id = 1,
-                        response = [{"success": "/resourcelinks/1 deleted."}],
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                it('can short-circuit with a canned response', done => {
+                    var canned = { "1": { name: 'Cached light' } },
+                        fetch = fetchSpy({}),
+                        hue = jsHue(fetch);
 
-                    user.deleteResourceLink(id).then(data => {
-                        expect(fetch).toHaveBeenCalledWith(`${LINKS_URL}/${id}`, { method: 'DELETE', body: null });
-                        expect(data).toEqual(response);
+                    hue.use(() => canned);
+
+                    hue.bridge(BRIDGE_IP).user(USER).getLights().then(data => {
+                        expect(fetch).not.toHaveBeenCalled();
+                        expect(data).toBe(canned);
                         done();
                     });
                 });
-            });
 
-            describe('capabilities API', () => {
-                const CAPABILITIES_URL = `${USER_URL}/capabilities`;
+                it('calls instance middleware before bridge middleware', done => {
+                    var fetch = fetchSpy({}),
+                        hue = jsHue(fetch),
+                        bridge = hue.bridge(BRIDGE_IP),
+                        order = [];
 
-                it('gets all capabilities', done => {
-                    var response = {
-                            "lights":{
-                                "available": 10,
-                            },
-                            "sensors":{
-                                "availble": 60,
-                                "clip": {
-                                    "available": 60,
-                                },
-                                "zll": {
-                                    "available": 60,
-                                },
-                                "zgp": {
-                                    "available": 60
-                                }
-                            },
-                            "groups": {},
-                            "scenes": {
-                                "available": 100,
-                                "lightstates": {
-                                    "available": 1500
-                                }
-                            },
-                            "rules": {},
-                            "schedules": {},
-                            "resourcelinks": {},
-                            "whitelists": {},
-                            "timezones": {
-                                "values":[
-                                    "Africa/Abidjan",
-                                    "Africa/Accra",
-                                     "Pacific/Wallis",
-                                     "US/Pacific-New"
-                                 ]
-                            }
-                        },
-                        fetch = fetchSpy(response),
-                        user = jsHueUser(fetch);
+                    bridge.use((request, next) => {
+                        order.push('bridge');
+                        return next();
+                    });
+                    hue.use((request, next) => {
+                        order.push('instance');
+                        return next();
+                    });
 
-                    user.getCapabilities().then(data => {
-                        expect(fetch).toHaveBeenCalledWith(CAPABILITIES_URL, { method: 'GET', body: null });
-                        expect(data).toEqual(response);
+                    bridge.user(USER).getLights().then(() => {
+                        expect(order).toEqual(['instance', 'bridge']);
+                        done();
+                    });
+                });
+
+                it('does not apply bridge middleware to other bridges', done => {
+                    var fetch = fetchSpy({}),
+                        hue = jsHue(fetch),
+                        middleware = jasmine.createSpy('middleware').and.callFake((request, next) => next());
+
+                    hue.bridge(BRIDGE_IP).use(middleware);
+
+                    hue.bridge('192.168.1.101').user(USER).getLights().then(() => {
+                        expect(middleware).not.toHaveBeenCalled();
                         done();
                     });
                 });
+
+                it('propagates middleware errors through the promise chain', done => {
+                    var fetch = fetchSpy({}),
+                        hue = jsHue(fetch);
+
+                    hue.use(() => { throw new Error('middleware error'); });
+
+                    hue.bridge(BRIDGE_IP).user(USER).getLights().then(
+                        () => {
+                            fail('This should not be called');
+                            done();
+                        },
+                        e => {
+                            expect(e.message).toBe('middleware error');
+                            done();
+                        }
+                    );
+                });
             });
 
             describe('error handling', () => {
@@ -1480,6 +4043,360 @@ describe('jsHue', () => {
                         );
                     }).not.toThrow();
                 });
+
+                describe('with timeouts and cancellation', () => {
+                    var hangingFetch = () => jasmine.createSpy('fetch', fetch).and.callFake((url, init) => new Promise((resolve, reject) => {
+                        if(init.signal) {
+                            init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                        }
+                    }));
+
+                    var expectRejection = (promise, ErrorClass, done, check = () => {}) => promise.then(
+                        () => {
+                            fail('This should not be called');
+                            done();
+                        },
+                        e => {
+                            expect(e).toEqual(jasmine.any(ErrorClass));
+                            check(e);
+                            done();
+                        }
+                    );
+
+                    it('passes per-call signals to fetch', done => {
+                        var response = {},
+                            fetch = fetchSpy(response),
+                            controller = new AbortController(),
+                            user = jsHueUser(fetch);
+
+                        user.getLights({ signal: controller.signal }).then(data => {
+                            expect(fetch.calls.mostRecent().args[1].signal).toEqual(jasmine.any(AbortSignal));
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('rejects and aborts fetch when the signal is aborted', done => {
+                        var fetch = hangingFetch(),
+                            controller = new AbortController(),
+                            user = jsHueUser(fetch);
+
+                        expectRejection(user.setGroupState(1, { on: true }, { signal: controller.signal }), HueAbortError, done, () => {
+                            expect(fetch.calls.mostRecent().args[1].signal.aborted).toBe(true);
+                        });
+                        setTimeout(() => controller.abort(), 0);
+                    });
+
+                    it('rejects without fetching when the signal is already aborted', done => {
+                        var fetch = fetchSpy({}),
+                            controller = new AbortController(),
+                            user = jsHueUser(fetch);
+
+                        controller.abort();
+                        expectRejection(user.getLight(1, { signal: controller.signal }), HueAbortError, done, () => {
+                            expect(fetch).not.toHaveBeenCalled();
+                        });
+                    });
+
+                    it('times out with the default timeout', done => {
+                        var fetch = hangingFetch(),
+                            user = jsHueAPI(fetch, Response, JSON, Promise, { timeout: 10 }).bridge(BRIDGE_IP).user(USER);
+
+                        expectRejection(user.getLights(), HueTimeoutError, done, e => {
+                            expect(e.timeout).toBe(10);
+                            expect(fetch.calls.mostRecent().args[1].signal.aborted).toBe(true);
+                        });
+                    });
+
+                    it('times out with the bridge timeout', done => {
+                        var fetch = hangingFetch(),
+                            user = jsHueAPI(fetch, Response, JSON, Promise, { timeout: 60000 }).bridge(BRIDGE_IP, { timeout: 10 }).user(USER);
+
+                        expectRejection(user.getConfig(), HueTimeoutError, done, e => expect(e.timeout).toBe(10));
+                    });
+
+                    it('times out with a per-call timeout', done => {
+                        var fetch = hangingFetch(),
+                            user = jsHueUser(fetch);
+
+                        expectRejection(user.setLightState(1, { on: true }, { timeout: 10 }), HueTimeoutError, done);
+                    });
+                });
+
+                describe('with retries', () => {
+                    const RETRY = { attempts: 3, minDelay: 1, jitter: false };
+
+                    var internalError = [{"error":{"type":901,"address":"/lights/1/state","description":"Internal error, 404"}}];
+
+                    var fetchSequence = (...results) => {
+                        var calls = 0;
+                        return jasmine.createSpy('fetch', fetch).and.callFake(() => {
+                            var result = results[Math.min(calls++, results.length - 1)];
+                            return result instanceof Error ? Promise.reject(result) : Promise.resolve(result());
+                        });
+                    };
+
+                    var jsonResponse = (data, status = 200) => () => new Response(JSON.stringify(data), { status });
+
+                    var jsHueRetryUser = (fetch, options, bridgeOptions) =>
+                        jsHueAPI(fetch, Response, JSON, Promise, options).bridge(BRIDGE_IP, bridgeOptions).user(USER);
+
+                    it('does not retry by default', done => {
+                        var fetch = fetchSequence(new TypeError('Failed to fetch'), jsonResponse({})),
+                            user = jsHueRetryUser(fetch);
+
+                        user.getLights().then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            e => {
+                                expect(e).toEqual(jasmine.any(TypeError));
+                                expect(fetch.calls.count()).toBe(1);
+                                done();
+                            }
+                        );
+                    });
+
+                    it('retries network errors', done => {
+                        var response = {},
+                            fetch = fetchSequence(new TypeError('Failed to fetch'), new TypeError('Failed to fetch'), jsonResponse(response)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.getLights().then(data => {
+                            expect(fetch.calls.count()).toBe(3);
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('retries retryable HTTP statuses', done => {
+                        var response = [{"success":{"/lights/1/state/on":true}}],
+                            fetch = fetchSequence(jsonResponse(internalError, 503), jsonResponse(response)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.setLightState(1, { on: true }).then(data => {
+                            expect(fetch.calls.count()).toBe(2);
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('resolves the last response when attempts are exhausted', done => {
+                        var fetch = fetchSequence(jsonResponse(internalError, 503)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.setLightState(1, { on: true }).then(data => {
+                            expect(fetch.calls.count()).toBe(3);
+                            expect(data).toEqual(internalError);
+                            done();
+                        });
+                    });
+
+                    it('retries retryable bridge errors', done => {
+                        var fetch = fetchSequence(jsonResponse(internalError)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY, rejectErrors: true });
+
+                        user.setLightState(1, { on: true }).then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            e => {
+                                expect(e).toEqual(jasmine.any(HueBridgeInternalError));
+                                expect(fetch.calls.count()).toBe(3);
+                                done();
+                            }
+                        );
+                    });
+
+                    it('does not retry other bridge errors', done => {
+                        var response = [{"error":{"type":3,"address":"/lights/9","description":"resource, /lights/9, not available"}}],
+                            fetch = fetchSequence(jsonResponse(response)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.getLight(9).then(data => {
+                            expect(fetch.calls.count()).toBe(1);
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('retries responses mixing retryable and other bridge errors', done => {
+                        var mixed = [{"error":{"type":7,"address":"/lights/1/state/bri","description":"invalid value, 300, for parameter, bri"}}].concat(internalError),
+                            response = [{"success":{"/lights/1/state/on":true}}],
+                            fetch = fetchSequence(jsonResponse(mixed), jsonResponse(response)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.setLightState(1, { on: true }).then(data => {
+                            expect(fetch.calls.count()).toBe(2);
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('resolves the last mixed bridge errors when attempts are exhausted', done => {
+                        var mixed = [{"error":{"type":7,"address":"/lights/1/state/bri","description":"invalid value, 300, for parameter, bri"}}].concat(internalError),
+                            fetch = fetchSequence(jsonResponse(mixed)),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.setLightState(1, { on: true }).then(data => {
+                            expect(fetch.calls.count()).toBe(3);
+                            expect(data).toEqual(mixed);
+                            done();
+                        });
+                    });
+
+                    it('does not retry POST by default', done => {
+                        var fetch = fetchSequence(new TypeError('Failed to fetch'), jsonResponse([])),
+                            user = jsHueRetryUser(fetch, { retry: RETRY });
+
+                        user.createGroup({ lights: ['1'] }).then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            () => {
+                                expect(fetch.calls.count()).toBe(1);
+                                done();
+                            }
+                        );
+                    });
+
+                    it('retries configured methods', done => {
+                        var fetch = fetchSequence(new TypeError('Failed to fetch'), jsonResponse([])),
+                            user = jsHueRetryUser(fetch, { retry: Object.assign({ methods: ['POST'] }, RETRY) });
+
+                        user.createGroup({ lights: ['1'] }).then(() => {
+                            expect(fetch.calls.count()).toBe(2);
+                            done();
+                        });
+                    });
+
+                    it('lets bridges override the retry policy', done => {
+                        var fetch = fetchSequence(new TypeError('Failed to fetch'), jsonResponse({})),
+                            user = jsHueRetryUser(fetch, { retry: RETRY }, { retry: false });
+
+                        user.getLights().then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            () => {
+                                expect(fetch.calls.count()).toBe(1);
+                                done();
+                            }
+                        );
+                    });
+
+                    it('backs off exponentially', done => {
+                        var times = [],
+                            fetch = fetchSequence(new TypeError('Failed to fetch')),
+                            user = jsHueRetryUser(fetch, { retry: { attempts: 3, minDelay: 20, factor: 3, jitter: false } });
+
+                        fetch.and.callFake(() => {
+                            times.push(Date.now());
+                            return Promise.reject(new TypeError('Failed to fetch'));
+                        });
+
+                        user.getLights().catch(() => {
+                            expect(times[1] - times[0]).not.toBeLessThan(15);
+                            expect(times[2] - times[1]).not.toBeLessThan(55);
+                            done();
+                        });
+                    });
+                });
+
+                describe('with rejectErrors', () => {
+                    var jsHueStrictUser = fetch =>
+                        jsHueAPI(fetch, Response, JSON, Promise, { rejectErrors: true }).bridge(BRIDGE_IP).user(USER);
+
+                    it('resolves bridge errors by default', done => {
+                        var response = [{"error":{"type":7,"address":"/lights/1/state/bri","description":"invalid value, 300, for parameter, bri"}}],
+                            fetch = fetchSpy(response),
+                            user = jsHueUser(fetch);
+
+                        user.setLightState(1, { bri: 300 }).then(data => {
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('resolves responses without errors', done => {
+                        var response = [{"success":{"/lights/1/state/on":true}}],
+                            fetch = fetchSpy(response),
+                            user = jsHueStrictUser(fetch);
+
+                        user.setLightState(1, { on: true }).then(data => {
+                            expect(data).toEqual(response);
+                            done();
+                        });
+                    });
+
+                    it('rejects bridge errors with typed errors', done => {
+                        var response = [
+                                {"success":{"/lights/1/state/on":true}},
+                                {"error":{"type":7,"address":"/lights/1/state/bri","description":"invalid value, 300, for parameter, bri"}},
+                                {"error":{"type":6,"address":"/lights/1/state/foo","description":"parameter, foo, not available"}}
+                            ],
+                            fetch = fetchSpy(response),
+                            user = jsHueStrictUser(fetch);
+
+                        user.setLightState(1, { on: true, bri: 300, foo: 1 }).then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            e => {
+                                expect(e).toEqual(jasmine.any(HueInvalidValueError));
+                                expect(e).toEqual(jasmine.any(HueApiError));
+                                expect(e).toEqual(jasmine.any(HueError));
+                                expect(e.name).toBe('HueInvalidValueError');
+                                expect(e.type).toBe(7);
+                                expect(e.address).toBe('/lights/1/state/bri');
+                                expect(e.description).toBe('invalid value, 300, for parameter, bri');
+                                expect(e.message).toBe(e.description);
+                                expect(e.successes).toEqual([{"/lights/1/state/on":true}]);
+                                expect(e.errors).toEqual([response[1].error, response[2].error]);
+                                done();
+                            }
+                        );
+                    });
+
+                    it('maps common bridge error types to subclasses', () => {
+                        var error = type => HueApiError.create({ type, address: '/', description: 'error' });
+
+                        expect(error(1)).toEqual(jasmine.any(HueUnauthorizedUserError));
+                        expect(error(3)).toEqual(jasmine.any(HueResourceNotAvailableError));
+                        expect(error(101)).toEqual(jasmine.any(HueLinkButtonNotPressedError));
+                        expect(error(201)).toEqual(jasmine.any(HueDeviceOffError));
+                        expect(error(901)).toEqual(jasmine.any(HueBridgeInternalError));
+                        expect(error(999).constructor).toBe(HueApiError);
+                    });
+
+                    it('rejects non-2xx HTTP statuses without reading the body', done => {
+                        var response = new Response('<html>Service Unavailable</html>', { status: 503, statusText: 'Service Unavailable' }),
+                            fetch = fetchSpy({}).and.callFake(() => Promise.resolve(response)),
+                            user = jsHueStrictUser(fetch);
+
+                        spyOn(response, 'json').and.callThrough();
+
+                        user.getLights().then(
+                            () => {
+                                fail('This should not be called');
+                                done();
+                            },
+                            e => {
+                                expect(e).toEqual(jasmine.any(HueHttpError));
+                                expect(e.status).toBe(503);
+                                expect(e.statusText).toBe('Service Unavailable');
+                                expect(e.url).toBe(`${USER_URL}/lights`);
+                                expect(response.json).not.toHaveBeenCalled();
+                                done();
+                            }
+                        );
+                    });
+                });
             });
         });
     });
@@ -17,6 +17,35 @@ declare module 'jshue' {
     interface NUPNPType {
         id: ID;
         internalipaddress: IP;
+        port?: number;
+        name?: string;
+        modelid?: string;
+        firmware?: string;
+        friendlyname?: string;
+        modelname?: string;
+        modelnumber?: string;
+        serialnumber?: string;
+    }
+
+    type DiscoveryMethod = 'nupnp' | 'mdns' | 'ssdp' | 'scan';
+
+    interface ScanProgressType {
+        scanned: number;
+        total: number;
+        bridges: Array<NUPNPType>;
+    }
+
+    interface DgramLike {
+        createSocket: (options: { type: 'udp4', reuseAddr?: boolean }) => any;
+    }
+
+    interface DiscoverOptions extends RequestOptions {
+        methods?: Array<DiscoveryMethod>;
+        dgram?: DgramLike;
+        wait?: number;
+        cidr?: string;
+        concurrency?: number;
+        onProgress?: (progress: ScanProgressType) => void;
     }
 
     interface CreateUserType {
@@ -29,6 +58,26 @@ declare module 'jshue' {
         success: string;
     }
 
+    interface PairOptions {
+        devicetype: string;
+        timeoutMs?: number;
+        intervalMs?: number;
+        generateClientKey?: boolean;
+        signal?: AbortSignalLike;
+    }
+
+    interface PairProgressType {
+        attempt: number;
+        elapsed: number;
+        remaining: number;
+        timeoutMs: number;
+    }
+
+    interface PairPromise<T> extends Promise<T> {
+        on: (event: 'progress', fn: (progress: PairProgressType) => void) => PairPromise<T>;
+        off: (event: 'progress', fn: (progress: PairProgressType) => void) => PairPromise<T>;
+    }
+
     interface SuccessWithKeyType {
         success: {
             [key: string]: any;
@@ -189,7 +238,75 @@ declare module 'jshue' {
         swversion: string;
     }
 
+    type ColorValue = string | [number, number, number] | { r: number, g: number, b: number } | { h: number, s: number, l: number };
+
+    type GamutValue = 'A' | 'B' | 'C' | Array<[number, number]>;
+
+    interface HueColor {
+        gamuts: { A: Array<[number, number]>, B: Array<[number, number]>, C: Array<[number, number]> };
+        parse: (value: ColorValue) => [number, number, number];
+        hexToRgb: (hex: string) => [number, number, number];
+        rgbToHex: (rgb: ColorValue) => string;
+        hslToRgb: (hsl: { h: number, s: number, l: number }) => [number, number, number];
+        rgbToHsl: (rgb: ColorValue) => { h: number, s: number, l: number };
+        rgbToXy: (rgb: ColorValue, gamut?: GamutValue | null) => [number, number];
+        xyToRgb: (xy: Array<number>, bri?: number) => [number, number, number];
+        toXy: (value: ColorValue, gamut?: GamutValue | null) => [number, number];
+        xyToHex: (xy: Array<number>, bri?: number) => string;
+        clampToGamut: (xy: Array<number>, gamut?: GamutValue | null) => [number, number];
+        gamut: (light: object) => Array<[number, number]> | null;
+        ctRange: { min: number, max: number };
+        lightCtRange: (light: object) => { min: number, max: number } | null;
+        kelvinToMired: (kelvin: number, range?: { min: number, max: number }) => number;
+        miredToKelvin: (mired: number) => number;
+        kelvinToRgb: (kelvin: number) => [number, number, number];
+        hueSatToRgb: (hue: number, sat: number) => [number, number, number];
+        lightToRgb: (light: object) => [number, number, number];
+        lightToHex: (light: object) => string;
+    }
+
+    interface AdaptiveCurveOptions {
+        latitude: number;
+        longitude: number;
+        kelvin?: [number, number];
+        bri?: [number, number];
+    }
+
+    interface AdaptiveStateType {
+        ct: number;
+        bri: number;
+        elevation: number;
+    }
+
+    interface HueSun {
+        elevation: (date: Date, latitude: number, longitude: number) => number;
+        adaptiveState: (date: Date, options: AdaptiveCurveOptions) => AdaptiveStateType;
+    }
+
+    interface AdaptiveLightingOptions extends AdaptiveCurveOptions {
+        groups: ID[];
+        interval?: number;
+        transition?: number;
+    }
+
+    interface AdaptiveUpdateEvent extends AdaptiveStateType {
+        date: Date;
+        updated: string[];
+        overridden: string[];
+    }
+
+    interface AdaptiveLightingController {
+        on(event: 'update', fn: (event: AdaptiveUpdateEvent) => void): void;
+        on(event: 'error', fn: (error: Error) => void): void;
+        off(event: 'update' | 'error', fn: Function): void;
+        update: () => Promise<AdaptiveUpdateEvent | null>;
+        stop: () => void;
+    }
+
     interface LightBodyType {
+        rgb?: ColorValue;
+        hex?: string;
+        kelvin?: number;
         on?: string;
         bri?: number;
         hue?: number;
@@ -210,6 +327,24 @@ declare module 'jshue' {
         name?: string;
     }
 
+    interface LightModel {
+        id: ID;
+        refresh: (options?: RequestOptions) => Promise<LightModel>;
+        getData: () => Readonly<LightType> | null;
+        getState: () => Readonly<LightType['state']> | null;
+        getCapabilities: () => Readonly<LightType['capabilities']> | null;
+        supports: (feature: 'brightness' | 'color' | 'ct') => boolean;
+        on: () => LightModel;
+        off: () => LightModel;
+        brightness: (percent: number) => LightModel;
+        color: (value: ColorValue) => LightModel;
+        ct: (mired: number) => LightModel;
+        kelvin: (kelvin: number) => LightModel;
+        transition: (ms: number) => LightModel;
+        set: (state: LightBodyType) => LightModel;
+        commit: (options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>;
+    }
+
     interface NewLightType {
         lastscan: string;
         [key: string]: {
@@ -243,6 +378,22 @@ declare module 'jshue' {
         }
     }
 
+    interface GroupModel {
+        id: ID;
+        refresh: (options?: RequestOptions) => Promise<GroupModel>;
+        getData: () => Readonly<GroupType> | null;
+        getName: () => string | null;
+        getLights: () => ReadonlyArray<string> | null;
+        getType: () => string | null;
+        getClass: () => RoomClassType | null;
+        isAnyOn: () => boolean;
+        isAllOn: () => boolean;
+        addLights: (ids: ID | Array<ID>, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>;
+        removeLights: (ids: ID | Array<ID>, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>;
+        setClass: (roomClass: RoomClassType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>;
+        setState: (state: GroupBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>;
+    }
+
     interface CreateGroupBodyType {
         lights?: Array<string>;
         name?: string;
@@ -257,6 +408,9 @@ declare module 'jshue' {
     }
 
     interface GroupBodyType {
+        rgb?: ColorValue;
+        hex?: string;
+        kelvin?: number;
         on?: boolean;
         bri?: number;
         hue?: number;
@@ -349,63 +503,524 @@ declare module 'jshue' {
         }
     }
 
+    interface V2ResponseType {
+        errors: Array<{ description: string }>;
+        data: Array<any>;
+    }
+
+    interface EventStreamOptions {
+        types?: Array<string>;
+        ids?: Array<string>;
+        reconnectDelay?: number;
+        maxReconnectDelay?: number;
+    }
+
+    interface V2EventType {
+        type: 'add' | 'update' | 'delete';
+        id: string;
+        creationtime: string;
+        resource: any;
+    }
+
+    interface EventSubscription extends AsyncIterable<V2EventType> {
+        on(event: 'add' | 'update' | 'delete' | 'event', fn: (event: V2EventType) => void): void;
+        on(event: 'open' | 'close', fn: () => void): void;
+        on(event: 'error', fn: (error: Error) => void): void;
+        off(event: string, fn: (...args: Array<any>) => void): void;
+        close(): void;
+    }
+
+    interface WatchOptions {
+        interval?: number;
+        resources?: Array<'lights' | 'groups' | 'sensors' | 'scenes' | 'schedules' | 'rules' | 'resourcelinks'>;
+    }
+
+    type WatchKind = 'light' | 'group' | 'sensor' | 'scene' | 'schedule' | 'rule' | 'resourcelink';
+
+    interface DiffType {
+        path: Array<string>;
+        previous: any;
+        current: any;
+    }
+
+    interface WatchChangeEvent {
+        kind: WatchKind;
+        id: string;
+        previous: any;
+        current: any;
+        changes: Array<DiffType>;
+    }
+
+    interface WatchResourceEvent {
+        kind: WatchKind;
+        id: string;
+        resource: any;
+    }
+
+    interface Watcher {
+        on(event: 'change' | 'light:state' | 'sensor:state' | 'sensor:presence' | 'sensor:buttonevent' | 'group:action' | 'group:any_on' | 'group:all_on', fn: (event: WatchChangeEvent) => void): void;
+        on(event: 'resource:added' | 'resource:removed', fn: (event: WatchResourceEvent) => void): void;
+        on(event: 'poll', fn: (state: any) => void): void;
+        on(event: 'error', fn: (error: Error) => void): void;
+        off(event: string, fn: (...args: Array<any>) => void): void;
+        stop(): void;
+    }
+
+    interface IHueV2 {
+        events: (options?: EventStreamOptions) => EventSubscription,
+        getResources: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getResourcesByType: (type: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getResource: (type: string, id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        createResource: (type: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        setResource: (type: string, id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteResource: (type: string, id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getLights: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getLight: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setLight: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getGroupedLights: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getGroupedLight: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setGroupedLight: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getRooms: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getRoom: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setRoom: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createRoom: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteRoom: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getZones: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getZone: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setZone: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createZone: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteZone: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getBridgeHomes: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getBridgeHome: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setBridgeHome: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getScenes: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getScene: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setScene: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createScene: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteScene: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getSmartScenes: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getSmartScene: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setSmartScene: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createSmartScene: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteSmartScene: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getDevices: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getDevice: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setDevice: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteDevice: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getBridges: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getBridge: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setBridge: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getDevicePowers: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getDevicePower: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setDevicePower: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getZigbeeConnectivities: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getZigbeeConnectivity: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setZigbeeConnectivity: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getMotions: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getMotion: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setMotion: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getTemperatures: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getTemperature: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setTemperature: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getLightLevels: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getLightLevel: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setLightLevel: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getButtons: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getButton: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setButton: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getRelativeRotaries: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getRelativeRotary: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setRelativeRotary: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getContacts: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getContact: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setContact: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getTampers: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getTamper: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setTamper: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getBehaviorScripts: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getBehaviorScript: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setBehaviorScript: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getBehaviorInstances: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getBehaviorInstance: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setBehaviorInstance: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createBehaviorInstance: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteBehaviorInstance: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getGeofenceClients: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getGeofenceClient: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setGeofenceClient: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createGeofenceClient: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteGeofenceClient: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getGeolocations: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getGeolocation: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setGeolocation: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        getEntertainmentConfigurations: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getEntertainmentConfiguration: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setEntertainmentConfiguration: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        createEntertainmentConfiguration: (data: object, options?: RequestOptions) => Promise<V2ResponseType>,
+        deleteEntertainmentConfiguration: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        getEntertainments: (options?: RequestOptions) => Promise<V2ResponseType>,
+        getEntertainment: (id: string, options?: RequestOptions) => Promise<V2ResponseType>,
+        setEntertainment: (id: string, data: object, options?: RequestOptions) => Promise<V2ResponseType>
+    }
+
     interface IHue {
-        discover: () => Promise<Array<NUPNPType>>,
-        bridge: (ip: IP) => {
-            createUser: (type: string) => Promise<Readonly<Array<CreateUserType>>>,
-            user: (username: string) => {
-                deleteUser: (username: string) => Promise<Readonly<SuccessType>>,
-                getConfig: () => Promise<Readonly<ConfigurationType>>,
-                setConfig: (data: ConfigurationBodyType) => Promise<Readonly<SuccessWithKeyType>>,
-                getFullState: () => Promise<Readonly<FullStateType>>,
-                getLights: () => Promise<Readonly<LightsType>>,
-                getNewLights: () => Promise<Readonly<object>>,
-                searchForNewLights: (data?: SearchLightBodyType = null) => Promise<Readonly<SuccessWithKeyType>>,
-                getLight: (id: ID) => Promise<Readonly<LightType>>,
-                setLight: (id: ID, data: LightAttributeBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                setLightState: (id: ID, data: LightBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                deleteLight: (id: ID) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                getGroups: () => Promise<Readonly<GroupsType>>,
-                createGroup: (data: CreateGroupBodyType) => Promise<Readonly<GroupType>>,
-                getGroup: (id: ID) => Promise<Readonly<GroupType>>,
-                setGroup: (id: ID, data: GroupAttributeBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>
-                setGroupState: (id: ID, data: GroupBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                deleteGroup: (id: ID) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                getSchedules: () => Promise<Readonly<SchedulesType>>,
-                createSchedule: (data: CreateOrSetScheduleBody) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                getSchedule: (id: ID) => Promise<Readonly<ScheduleType>>
-                setSchedule: (id: ID, data: CreateOrSetScheduleBody) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                deleteSchedule: (id: ID) => Promise<Readonly<Array<SuccessType>>>,
-                getScenes: () => Promise<Readonly<ScenesType>>,
-                createScene: (data: CreateOrUpdateSceneBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                getScene: (id: ID) => Promise<Readonly<SceneType>>,
-                setScene: (id: ID, data: CreateOrUpdateSceneBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                setSceneLightState: (sceneId: ID, lightId: ID, data: LightSceneBodyType) => Promise<Readonly<Array<SuccessWithKeyType>>>,
-                deleteScene: (id: ID) => Promise<Promise<Array<SuccessWithKeyType>>>,
-
-                getSensors: () => Promise<Promise<any>>,
-                createSensor: () => Promise<Promise<any>>,
-                searchForNewSensors: () => Promise<Promise<any>>,
-                getNewSensors: () => Promise<Promise<any>>,
-                getSensor: () => Promise<Promise<any>>,
-                setSensor: () => Promise<Promise<any>>,
-                setSensorConfig: () => Promise<Promise<any>>,
-                setSensorState: () => Promise<Promise<any>>,
-                deleteSensor:() => Promise<Promise<any>>,
-                getRules: () => Promise<Promise<any>>,
-                createRule: () => Promise<Promise<any>>,
-                getRule: () => Promise<Promise<any>>,
-                setRule: () => Promise<Promise<any>>,
-                deleteRule: () => Promise<Promise<any>>,
-                getResourceLinks: () => Promise<Promise<any>>,
-                createResourceLink: () => Promise<Promise<any>>,
-                getResourceLink: () => Promise<Promise<any>>,
-                setResourceLink: () => Promise<Promise<any>>,
-                deleteResourceLink: () => Promise<Promise<any>>,
-            }
-        }
+        use: (fn: Middleware) => void,
+        discover: (options?: DiscoverOptions) => Promise<Array<NUPNPType>>,
+        bridge: (ip: IP, options?: BridgeOptions) => {
+            use: (fn: Middleware) => void,
+            createUser: (type: string, options?: RequestOptions) => Promise<Readonly<Array<CreateUserType>>>,
+            pair: {
+                (options: PairOptions & { generateClientKey: true }): PairPromise<{ username: string, clientkey: string }>;
+                (options: PairOptions): PairPromise<string>;
+            },
+            user: (username: string, options?: UserOptions) => {
+                deleteUser: (username: string, options?: RequestOptions) => Promise<Readonly<SuccessType>>,
+                getConfig: (options?: RequestOptions) => Promise<Readonly<ConfigurationType>>,
+                setConfig: (data: ConfigurationBodyType, options?: RequestOptions) => Promise<Readonly<SuccessWithKeyType>>,
+                getFullState: (options?: RequestOptions) => Promise<Readonly<FullStateType>>,
+                getLights: (options?: RequestOptions) => Promise<Readonly<LightsType>>,
+                getNewLights: (options?: RequestOptions) => Promise<Readonly<object>>,
+                searchForNewLights: (data?: SearchLightBodyType = null, options?: RequestOptions) => Promise<Readonly<SuccessWithKeyType>>,
+                getLight: (id: ID, options?: RequestOptions) => Promise<Readonly<LightType>>,
+                setLight: (id: ID, data: LightAttributeBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                setLightState: (id: ID, data: LightBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                deleteLight: (id: ID, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                light: (id: ID) => LightModel,
+                getGroups: (options?: RequestOptions) => Promise<Readonly<GroupsType>>,
+                createGroup: (data: CreateGroupBodyType, options?: RequestOptions) => Promise<Readonly<GroupType>>,
+                getGroup: (id: ID, options?: RequestOptions) => Promise<Readonly<GroupType>>,
+                setGroup: (id: ID, data: GroupAttributeBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>
+                setGroupState: (id: ID, data: GroupBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                deleteGroup: (id: ID, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                group: (id: ID) => GroupModel,
+                rooms: (options?: RequestOptions) => Promise<Array<GroupModel>>,
+                zones: (options?: RequestOptions) => Promise<Array<GroupModel>>,
+                getSchedules: (options?: RequestOptions) => Promise<Readonly<SchedulesType>>,
+                createSchedule: (data: CreateOrSetScheduleBody, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                getSchedule: (id: ID, options?: RequestOptions) => Promise<Readonly<ScheduleType>>
+                setSchedule: (id: ID, data: CreateOrSetScheduleBody, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                deleteSchedule: (id: ID, options?: RequestOptions) => Promise<Readonly<Array<SuccessType>>>,
+                createWakeUp: (options: RoutineOptions) => Promise<RoutineType>,
+                createWindDown: (options: RoutineOptions) => Promise<RoutineType>,
+                removeRoutine: (name: string) => Promise<string[]>,
+                getScenes: (options?: RequestOptions) => Promise<Readonly<ScenesType>>,
+                createScene: (data: CreateOrUpdateSceneBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                getScene: (id: ID, options?: RequestOptions) => Promise<Readonly<SceneType>>,
+                setScene: (id: ID, data: CreateOrUpdateSceneBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                setSceneLightState: (sceneId: ID, lightId: ID, data: LightSceneBodyType, options?: RequestOptions) => Promise<Readonly<Array<SuccessWithKeyType>>>,
+                deleteScene: (id: ID, options?: RequestOptions) => Promise<Promise<Array<SuccessWithKeyType>>>,
+
+                getSensors: (options?: RequestOptions) => Promise<Promise<any>>,
+                createSensor: (data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                searchForNewSensors: (options?: RequestOptions) => Promise<Promise<any>>,
+                getNewSensors: (options?: RequestOptions) => Promise<Promise<any>>,
+                getSensor: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                setSensor: (id: ID, data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                setSensorConfig: (id: ID, data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                setSensorState: (id: ID, data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                deleteSensor: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                getRules: (options?: RequestOptions) => Promise<Promise<any>>,
+                createRule: (data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                getRule: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                setRule: (id: ID, data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                deleteRule: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                getResourceLinks: (options?: RequestOptions) => Promise<Promise<any>>,
+                createResourceLink: (data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                getResourceLink: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                setResourceLink: (id: ID, data: object, options?: RequestOptions) => Promise<Promise<any>>,
+                deleteResourceLink: (id: ID, options?: RequestOptions) => Promise<Promise<any>>,
+                getQueueStats: () => QueueStatsType | null,
+                animate: (timeline: AnimationTimeline, options?: AnimationOptions) => Animation,
+                withTemporaryState: (targets: TemporaryStateTargets, state: LightBodyType & GroupBodyType, durationMs: number) => Promise<TemporaryStateResultType>,
+                adaptiveLighting: (options: AdaptiveLightingOptions) => AdaptiveLightingController,
+                watch: (options?: WatchOptions) => Watcher,
+            },
+            v2: (appKey: string) => IHueV2
+        },
+        bridgeById: (bridgeId: string, options?: BridgeByIdOptions) => ReturnType<IHue['bridge']> & {
+            getIp: () => IP | null,
+            locate: () => Promise<IP>
+        },
+        connect: (bridgeId: string, options?: ConnectOptions) => Promise<ReturnType<ReturnType<IHue['bridge']>['user']>>
+    }
+
+    interface RetryOptions {
+        attempts?: number;
+        minDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: boolean;
+        methods?: Array<'GET' | 'PUT' | 'POST' | 'DELETE'>;
+        statuses?: Array<number>;
+        types?: Array<number>;
+    }
+
+    interface BridgeOptions {
+        rejectErrors?: boolean;
+        timeout?: number;
+        retry?: boolean | RetryOptions;
+        https?: boolean;
+        agent?: any;
+    }
+
+    interface BridgeAgentOptions {
+        bridgeId?: string;
+        fingerprint?: string;
+        ca?: string | Array<string>;
+    }
+
+    interface JsHueOptions extends BridgeOptions {
+        dgram?: DgramLike;
+        store?: CredentialStore;
+    }
+
+    interface CredentialsType {
+        username: string;
+        clientkey?: string;
+    }
+
+    interface CredentialStore {
+        get: (bridgeId: string) => Promise<CredentialsType | null>;
+        set: (bridgeId: string, credentials: CredentialsType) => Promise<void>;
+        delete: (bridgeId: string) => Promise<void>;
+    }
+
+    interface FsLike {
+        readFile: (path: string, encoding: string, callback: (error: any, data: string) => void) => void;
+        writeFile: (path: string, data: string, encoding: string, callback: (error: any) => void) => void;
+    }
+
+    interface StorageLike {
+        getItem: (key: string) => string | null;
+        setItem: (key: string, value: string) => void;
+    }
+
+    interface BridgeByIdOptions extends DiscoverOptions, BridgeOptions {
+        ip?: IP;
+    }
+
+    interface ConnectOptions extends DiscoverOptions, UserOptions {
+        store?: CredentialStore;
+        devicetype?: string;
+        timeoutMs?: number;
+        intervalMs?: number;
+        generateClientKey?: boolean;
+        onPairProgress?: (progress: PairProgressType) => void;
+    }
+
+    interface SchedulerOptions {
+        lightRate?: number;
+        groupRate?: number;
+        maxDepth?: number;
+    }
+
+    interface UserOptions {
+        scheduler?: boolean | SchedulerOptions;
+    }
+
+    type KeyframeType = LightBodyType & GroupBodyType & {
+        transition?: number;
+        duration?: number;
+    };
+
+    interface AnimationTimeline {
+        lights?: ID[];
+        groups?: ID[];
+        keyframes: KeyframeType[];
+    }
+
+    interface AnimationOptions {
+        loop?: boolean | number;
+        restore?: boolean;
+        scheduler?: SchedulerOptions;
+    }
+
+    interface AnimationResultType {
+        cancelled: boolean;
+        loops: number;
+    }
+
+    interface KeyframeEventType {
+        index: number;
+        loop: number;
+        keyframe: KeyframeType;
+    }
+
+    interface Animation extends Promise<AnimationResultType> {
+        on: (event: 'keyframe', fn: (event: KeyframeEventType) => void) => Animation;
+        off: (event: 'keyframe', fn: (event: KeyframeEventType) => void) => Animation;
+        pause: () => void;
+        resume: () => void;
+        cancel: () => void;
+    }
+
+    interface TemporaryStateTargets {
+        lights?: ID[];
+        groups?: ID[];
+    }
+
+    interface TemporaryStateResultType {
+        restored: string[];
+        unreachable: string[];
+    }
+
+    type Weekday = 'monday' | 'tuesday' | 'wednesday' | 'thursday' | 'friday' | 'saturday' | 'sunday';
+
+    type WeekdaysValue = Weekday[] | number;
+
+    interface TimeOfDay {
+        hours: number;
+        minutes: number;
+        seconds?: number;
+    }
+
+    type TimePattern =
+        { type: 'absolute', date: Date, random?: number } |
+        { type: 'recurring', days: WeekdaysValue, time: TimeOfDay, random?: number } |
+        { type: 'timer', duration: number, random?: number } |
+        { type: 'recurringTimer', duration: number, repeat?: number, random?: number } |
+        { type: 'interval', days?: WeekdaysValue, start: TimeOfDay, end: TimeOfDay };
+
+    interface HueTime {
+        build: (pattern: TimePattern) => string;
+        parse: (text: string) => TimePattern;
+        next: (pattern: string | TimePattern, count?: number, from?: Date) => Date[];
+    }
+
+    interface RoutineOptions {
+        name?: string;
+        time: Date | string;
+        duration?: number;
+        lights?: ID[];
+        groups?: ID[];
+        bri?: [number, number];
+        kelvin?: [number, number];
+        days?: WeekdaysValue;
+    }
+
+    interface RoutineType {
+        name: string;
+        schedules: string[];
+        remove: () => Promise<string[]>;
+    }
+
+    interface QueueStatsType {
+        depth: number;
+        lights: number;
+        groups: number;
+        sent: number;
+        coalesced: number;
+        dropped: number;
+    }
+
+    interface MiddlewareRequest {
+        method: 'GET' | 'PUT' | 'POST' | 'DELETE';
+        url: string;
+        data: any;
+        options: RequestOptions;
+    }
+
+    type Middleware = (request: MiddlewareRequest, next: (request?: MiddlewareRequest) => Promise<any>) => any;
+
+    interface AbortSignalLike {
+        readonly aborted: boolean;
+        addEventListener: (type: 'abort', listener: () => void) => void;
+        removeEventListener: (type: 'abort', listener: () => void) => void;
+    }
+
+    interface RequestOptions {
+        signal?: AbortSignalLike;
+        timeout?: number;
+        retry?: boolean | RetryOptions;
+        headers?: { [name: string]: string };
+    }
+
+    interface ApiErrorType {
+        type: number;
+        address: string;
+        description: string;
+    }
+
+    class HueError extends Error {}
+
+    class HueApiError extends HueError {
+        constructor(error: ApiErrorType, successes?: Array<any>, errors?: Array<ApiErrorType>);
+        static create(error: ApiErrorType, successes?: Array<any>, errors?: Array<ApiErrorType>): HueApiError;
+        static types: { [type: number]: typeof HueApiError };
+        type: number;
+        address: string;
+        description: string;
+        successes: Array<any>;
+        errors: Array<ApiErrorType>;
+    }
+
+    class HueUnauthorizedUserError extends HueApiError {}
+    class HueInvalidJsonError extends HueApiError {}
+    class HueResourceNotAvailableError extends HueApiError {}
+    class HueMethodNotAvailableError extends HueApiError {}
+    class HueMissingParametersError extends HueApiError {}
+    class HueParameterNotAvailableError extends HueApiError {}
+    class HueInvalidValueError extends HueApiError {}
+    class HueParameterNotModifiableError extends HueApiError {}
+    class HueLinkButtonNotPressedError extends HueApiError {}
+    class HueDeviceOffError extends HueApiError {}
+    class HueBridgeInternalError extends HueApiError {}
+
+    class HueHttpError extends HueError {
+        url: string;
+        status: number;
+        statusText: string;
+        response: any;
+    }
+
+    class HueTimeoutError extends HueError {
+        timeout: number;
+    }
+
+    class HueAbortError extends HueError {}
+
+    class HueQueueFullError extends HueError {
+        depth: number;
+    }
+
+    function memoryStore(credentials?: { [bridgeId: string]: CredentialsType }): CredentialStore;
+    function fileStore(path: string, fs: FsLike): CredentialStore;
+    function localStorageStore(storage?: StorageLike, key?: string): CredentialStore;
+    const color: HueColor;
+    const sun: HueSun;
+    const time: HueTime;
+    function bridgeAgent(options: BridgeAgentOptions, https: { Agent: new (options: object) => any }): any;
+
+    function jsHue(options?: JsHueOptions): IHue;
+
+    namespace jsHue {
+        export {
+            HueError,
+            HueApiError,
+            HueUnauthorizedUserError,
+            HueInvalidJsonError,
+            HueResourceNotAvailableError,
+            HueMethodNotAvailableError,
+            HueMissingParametersError,
+            HueParameterNotAvailableError,
+            HueInvalidValueError,
+            HueParameterNotModifiableError,
+            HueLinkButtonNotPressedError,
+            HueDeviceOffError,
+            HueBridgeInternalError,
+            HueHttpError,
+            HueTimeoutError,
+            HueAbortError,
+            HueQueueFullError,
+            memoryStore,
+            fileStore,
+            localStorageStore,
+            bridgeAgent,
+            color,
+            sun,
+            time
+        };
     }
 
-    const jsHue: () => IHue;
     export default jsHue;
 }
\ No newline at end of file